@@ -3,372 +3,3080 @@
  * Multi-provider support with intelligent fallback and optimization
  */
 
-function stripJsonCodeFence(text) {
-  let cleaned = String(text ?? '').trim();
-  const fenced = cleaned.match(/```(?:json)?\s*([\s\S]*?)```/i);
-  if (fenced && fenced[1]) {
-    cleaned = fenced[1].trim();
+function parseOllamaResponse(rawBody) {
+  const trimmed = String(rawBody ?? '').trim();
+  if (!trimmed) {
+    throw new Error('Empty response body from Ollama');
   }
-  return cleaned.replace(/^\uFEFF/, '');
-}
 
-function extractFirstJsonValue(text) {
-  const str = String(text ?? '');
-  const firstObject = str.indexOf('{');
-  const firstArray = str.indexOf('[');
-  if (firstObject === -1 && firstArray === -1) {
-    return null;
+  try {
+    return JSON.parse(trimmed);
+  } catch (error) {
+    const chunks = [];
+    const lines = trimmed.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+
+    for (const line of lines) {
+      try {
+        chunks.push(JSON.parse(line));
+      } catch {
+        // ignore non-JSON lines
+      }
+    }
+
+    if (chunks.length === 0) {
+      throw error;
+    }
+
+    // A streamed /api/chat reply: join the message pieces onto the final chunk
+    const content = chunks.map((chunk) => chunk.message?.content || '').join('');
+    const lastChunk = chunks[chunks.length - 1];
+    return { ...lastChunk, message: { role: 'assistant', ...lastChunk.message, content } };
   }
+}
 
-  const start =
-    firstObject === -1 ? firstArray : firstArray === -1 ? firstObject : Math.min(firstObject, firstArray);
+/**
+ * Streaming helpers
+ *
+ * Every provider's generateStream() yields chunks of the same shape:
+ * { text, finishReason, usage } where usage is
+ * { promptTokens, completionTokens, totalTokens } once the vendor reports it.
+ */
+function createStreamChunk({ text = '', finishReason = null, usage = null } = {}) {
+  return { text, finishReason, usage };
+}
 
-  const stack = [];
-  let inString = false;
-  let escaped = false;
+async function* readStreamLines(response) {
+  if (!response.body || typeof response.body.getReader !== 'function') {
+    // Environments without streamed bodies still get the lines, just all at once
+    const rawBody = await response.text();
+    yield* rawBody.split(/\r?\n/);
+    return;
+  }
 
-  for (let idx = start; idx < str.length; idx++) {
-    const ch = str[idx];
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
 
-    if (inString) {
-      if (escaped) {
-        escaped = false;
-        continue;
-      }
-      if (ch === '\\\\') {
-        escaped = true;
-        continue;
+  try {
+    while (true) {
+      const { value, done } = await reader.read();
+      if (done) {
+        break;
       }
-      if (ch === '"') {
-        inString = false;
+      buffer += decoder.decode(value, { stream: true });
+
+      let newlineIndex;
+      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+        const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+        buffer = buffer.slice(newlineIndex + 1);
+        yield line;
       }
-      continue;
     }
 
-    if (ch === '"') {
-      inString = true;
-      continue;
+    buffer += decoder.decode();
+    if (buffer) {
+      yield buffer.replace(/\r$/, '');
     }
+  } finally {
+    reader.releaseLock();
+  }
+}
 
-    if (ch === '{') {
-      stack.push('}');
+async function* readServerSentEvents(response) {
+  let eventName = null;
+  let dataLines = [];
+
+  for await (const line of readStreamLines(response)) {
+    if (line === '') {
+      if (dataLines.length > 0) {
+        yield { event: eventName, data: dataLines.join('\n') };
+      }
+      eventName = null;
+      dataLines = [];
       continue;
     }
-    if (ch === '[') {
-      stack.push(']');
+    if (line.startsWith(':')) {
       continue;
     }
-
-    if (ch === '}' || ch === ']') {
-      if (stack.length === 0) {
-        return null;
-      }
-      const expected = stack.pop();
-      if (ch !== expected) {
-        return null;
-      }
-      if (stack.length === 0) {
-        return str.slice(start, idx + 1);
-      }
+    if (line.startsWith('event:')) {
+      eventName = line.slice(6).trim();
+    } else if (line.startsWith('data:')) {
+      dataLines.push(line.slice(5).replace(/^ /, ''));
     }
   }
 
-  return null;
+  if (dataLines.length > 0) {
+    yield { event: eventName, data: dataLines.join('\n') };
+  }
 }
 
-function parseJsonLoose(rawBody) {
-  const cleaned = stripJsonCodeFence(rawBody);
+async function* readNdjson(response) {
+  for await (const line of readStreamLines(response)) {
+    const trimmed = line.trim();
+    if (!trimmed) {
+      continue;
+    }
+    try {
+      yield JSON.parse(trimmed);
+    } catch {
+      // ignore non-JSON lines
+    }
+  }
+}
 
+async function readApiError(response, label, details = {}) {
+  const errorBody = await response.text();
+  let detail = response.statusText;
   try {
-    return JSON.parse(cleaned);
+    const errorData = parseJsonLoose(errorBody);
+    const errorText = typeof errorData.error === 'string' ? errorData.error : errorData.error?.message;
+    detail = errorText || errorData.message || detail;
   } catch {
-    const extracted = extractFirstJsonValue(cleaned);
-    if (!extracted) {
-      throw new Error('Response was not valid JSON');
+    if (errorBody && errorBody.trim()) {
+      detail = errorBody.trim().slice(0, 300);
     }
-    return JSON.parse(extracted);
   }
+  return createProviderError(`${label} API error: ${response.status} ${detail}`, {
+    ...details,
+    status: response.status,
+    retryAfter: parseRetryAfterMs(response.headers),
+    body: errorBody
+  });
 }
 
-function parseOllamaResponse(rawBody) {
-  const trimmed = String(rawBody ?? '').trim();
-  if (!trimmed) {
-    throw new Error('Empty response body from Ollama');
+/**
+ * Turns whatever a provider call threw into a ProviderError (or AbortError).
+ * A ProviderError only gets its provider/model filled in, never a new message.
+ * details: { provider, model, hint } - hint is appended to network failures.
+ */
+function wrapProviderError(error, label, details = {}) {
+  const { hint, ...errorDetails } = details;
+  if (error instanceof AbortError) {
+    return error;
+  }
+  if (error?.name === 'AbortError') {
+    return new AbortError(`${label} request was cancelled`, error);
+  }
+  if (error instanceof ProviderError) {
+    error.provider = error.provider || errorDetails.provider || null;
+    error.model = error.model || errorDetails.model || null;
+    return error;
+  }
+
+  const suffix = hint ? ` ${hint}` : '';
+  if (error?.name === 'TimeoutError') {
+    return new NetworkError(`${label} request timed out: ${error.message}`, { ...errorDetails, timedOut: true, cause: error });
   }
+  if (error?.name === 'TypeError' && /fetch|network|load failed/i.test(error.message)) {
+    return new NetworkError(`Could not reach ${label}: ${error.message}.${suffix}`, { ...errorDetails, cause: error });
+  }
+  // Errors from outside the provider classes may still carry a status and retry hint
+  return createProviderError(`${label} API call failed: ${error?.message}`, {
+    ...errorDetails,
+    status: error?.status ?? null,
+    retryAfter: error?.retryAfterMs ?? null,
+    cause: error
+  });
+}
+
+// GET on a provider's model-listing endpoint; returns the parsed body
+async function fetchModelList(url, headers, label, options = {}) {
+  const request = createRequestSignal(options.signal, options.timeoutMs);
 
   try {
-    return JSON.parse(trimmed);
+    const response = await fetch(url, { headers, signal: request.signal });
+    if (!response.ok) {
+      throw await readApiError(response, label);
+    }
+    return parseJsonLoose(await response.text());
   } catch (error) {
-    const chunks = [];
-    const lines = trimmed.split(/\r?\n/).map((line) => line.trim()).filter(Boolean);
+    throw wrapProviderError(error, label);
+  } finally {
+    request.dispose();
+  }
+}
 
-    for (const line of lines) {
-      try {
-        chunks.push(JSON.parse(line));
-      } catch {
-        // ignore non-JSON lines
-      }
-    }
+// False for providers that need an API key and have none
+function hasApiKey(provider) {
+  return !('apiKey' in provider) || Boolean(provider.apiKey) || provider.requiresApiKey === false;
+}
 
-    if (chunks.length === 0) {
+/**
+ * Times provider.listModels() and classifies the outcome:
+ * ok, unconfigured (no key), unauthorized, unreachable (no HTTP response) or error.
+ */
+async function runHealthCheck(provider, options = {}) {
+  const checkedAt = new Date().toISOString();
+  if (!hasApiKey(provider)) {
+    return { provider: provider.name, ok: false, status: 'unconfigured', error: 'API key not provided', latencyMs: null, models: [], checkedAt };
+  }
+
+  const start = Date.now();
+  try {
+    const models = await provider.listModels({ timeoutMs: 10000, ...options });
+    return { provider: provider.name, ok: true, status: 'ok', latencyMs: Date.now() - start, models, checkedAt };
+  } catch (error) {
+    if (error instanceof AbortError) {
       throw error;
     }
 
-    const combinedResponse = chunks.map((chunk) => chunk.response || '').join('');
-    const lastChunk = chunks[chunks.length - 1];
-    return { ...lastChunk, response: combinedResponse };
+    return {
+      provider: provider.name,
+      ok: false,
+      status: error instanceof AuthError ? 'unauthorized' : error instanceof NetworkError ? 'unreachable' : 'error',
+      httpStatus: error.status || null,
+      errorType: error.name,
+      error: error.message,
+      latencyMs: Date.now() - start,
+      models: [],
+      checkedAt
+    };
   }
 }
 
-class EnhancedAIProvider {
-  constructor() {
-    this.providers = {
-      gemini: new GeminiProvider(),
-      openai: new OpenAIProvider(),
-      claude: new ClaudeProvider(),
-      groq: new GroqProvider(),
-      huggingface: new HuggingFaceProvider(),
-      ollama: new OllamaProvider()
-    };
-    
-    this.currentProvider = 'gemini';
-    this.fallbackChain = ['gemini', 'openai', 'claude', 'groq'];
-    this.usageStats = {};
-    this.costOptimizer = new CostOptimizer();
+/**
+ * Cancellation: raised when the caller's AbortSignal fires. Unlike provider
+ * failures it is never retried and stops the fallback chain.
+ */
+class AbortError extends Error {
+  constructor(message = 'AI request was cancelled', reason = undefined) {
+    super(message);
+    this.name = 'AbortError';
+    this.kind = 'aborted';
+    if (reason !== undefined) {
+      this.cause = reason;
+    }
   }
+}
 
-  async generate(prompt, options = {}) {
-    const startTime = Date.now();
-    
-    try {
-      // Select best provider based on cost and performance
-      const provider = this.selectProvider(options);
-      
-      // Generate response
-      const response = await this.providers[provider].generate(prompt, options);
-      
-      // Track usage
-      this.trackUsage(provider, Date.now() - startTime, response.length);
-      
-      return response;
-      
-    } catch (error) {
-      console.error(`Provider ${this.currentProvider} failed:`, error);
-      
-      // Try fallback providers
-      for (const fallbackProvider of this.fallbackChain) {
-        if (fallbackProvider !== this.currentProvider) {
-          try {
-            console.log(`Trying fallback provider: ${fallbackProvider}`);
-            const response = await this.providers[fallbackProvider].generate(prompt, options);
-            this.trackUsage(fallbackProvider, Date.now() - startTime, response.length);
-            return response;
-          } catch (fallbackError) {
-            console.error(`Fallback provider ${fallbackProvider} also failed:`, fallbackError);
-          }
-        }
-      }
-      
-      throw new Error('All AI providers failed');
-    }
+function createAbortError(signal) {
+  const reason = signal?.reason;
+  if (reason instanceof AbortError) {
+    return reason;
   }
+  const detail = reason && reason.message ? `: ${reason.message}` : '';
+  return new AbortError(`AI request was cancelled${detail}`, reason);
+}
 
-  selectProvider(options = {}) {
-    // Use cost optimization if enabled
-    if (options.costOptimized) {
-      return this.costOptimizer.getCheapestProvider();
-    }
-    
-    // Use performance optimization if specified
-    if (options.performanceOptimized) {
-      return this.costOptimizer.getFastestProvider();
-    }
-    
-    // Use quality optimization for complex tasks
-    if (options.qualityOptimized) {
-      return this.costOptimizer.getBestQualityProvider();
-    }
-    
-    return this.currentProvider;
+function throwIfAborted(signal) {
+  if (signal?.aborted) {
+    throw createAbortError(signal);
   }
+}
 
-  trackUsage(provider, duration, responseLength) {
-    if (!this.usageStats[provider]) {
-      this.usageStats[provider] = {
-        calls: 0,
-        totalDuration: 0,
-        totalTokens: 0,
-        errors: 0
-      };
+/**
+ * Provider failures are ProviderError subclasses, so callers branch on the
+ * type instead of matching messages. Each carries provider, model, the HTTP
+ * status (null without a response), retryAfter in ms (from Retry-After) and
+ * bodyExcerpt, the start of the raw response body. `kind` feeds the retry
+ * and circuit breaker decisions (see classifyProviderError).
+ */
+const ERROR_BODY_EXCERPT_LENGTH = 500;
+
+class ProviderError extends Error {
+  constructor(message, { provider = null, model = null, status = null, retryAfter = null, body = null, cause } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.kind = status === 408 ? 'timeout'
+      : status >= 500 ? 'overload'
+        : status >= 400 ? 'bad-request'
+          : 'unknown';
+    this.provider = provider;
+    this.model = model;
+    this.status = status;
+    this.retryAfter = retryAfter;
+    this.bodyExcerpt = body ? String(body).slice(0, ERROR_BODY_EXCERPT_LENGTH) : null;
+    if (cause !== undefined) {
+      this.cause = cause;
     }
-    
-    this.usageStats[provider].calls++;
-    this.usageStats[provider].totalDuration += duration;
-    this.usageStats[provider].totalTokens += responseLength;
   }
 
-  getUsageStats() {
-    return this.usageStats;
+  // Retry code predating the error types reads retryAfterMs
+  get retryAfterMs() {
+    return this.retryAfter;
   }
 
-  async generateCode(prompt, context = {}) {
-    const codePrompt = this.buildCodePrompt(prompt, context);
-    return await this.generate(codePrompt, { qualityOptimized: true });
+  set retryAfterMs(value) {
+    this.retryAfter = value;
   }
+}
 
-  async generateTests(code, requirements) {
-    const testPrompt = this.buildTestPrompt(code, requirements);
-    return await this.generate(testPrompt, { qualityOptimized: true });
+class AuthError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'AuthError';
+    this.kind = 'auth';
   }
+}
 
-  async generateDocumentation(code, context) {
-    const docPrompt = this.buildDocumentationPrompt(code, context);
-    return await this.generate(docPrompt, { costOptimized: true });
+class RateLimitError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'RateLimitError';
+    this.kind = 'rate-limit';
   }
+}
 
-  buildCodePrompt(prompt, context) {
-    return `
-You are an expert software developer. Generate high-quality, production-ready code.
-
-Context:
-- Project Type: ${context.projectType || 'Web Application'}
-- Technology Stack: ${JSON.stringify(context.techStack || {})}
-- Requirements: ${context.requirements || 'Not specified'}
+// Billing or plan limits: waiting a few seconds won't help
+class QuotaExceededError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'QuotaExceededError';
+    this.kind = 'quota';
+  }
+}
 
-Task: ${prompt}
+class ContentFilterError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ContentFilterError';
+    this.kind = 'content-filter';
+  }
+}
 
-Requirements:
-1. Write clean, readable, and maintainable code
-2. Follow best practices and design patterns
-3. Include proper error handling
-4. Add meaningful comments
-5. Ensure code is production-ready
-6. Use modern syntax and features
-7. Include type definitions if applicable
-8. Follow security best practices
+class ContextLengthError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'ContextLengthError';
+    this.kind = 'context-length';
+  }
+}
 
-Generate complete, working code that can be immediately used.
-`;
+// No HTTP response at all; details.timedOut marks a request timeout
+class NetworkError extends ProviderError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'NetworkError';
+    this.kind = details.timedOut ? 'timeout' : 'network';
   }
+}
 
-  buildTestPrompt(code, requirements) {
-    return `
-You are an expert QA engineer. Generate comprehensive test cases for the following code.
+class InvalidResponseError extends ProviderError {
+  constructor(message, details) {
+    super(message, details);
+    this.name = 'InvalidResponseError';
+    this.kind = 'invalid-response';
+  }
+}
 
-Code:
-\`\`\`
-${code}
-\`\`\`
+const PROVIDER_ERROR_TYPES = {
+  ProviderError,
+  AuthError,
+  RateLimitError,
+  QuotaExceededError,
+  ContentFilterError,
+  ContextLengthError,
+  NetworkError,
+  InvalidResponseError
+};
 
-Requirements: ${JSON.stringify(requirements)}
+// Vendors report these with a generic 400/403/429, so the body decides
+const QUOTA_ERROR_PATTERN = /insufficient_quota|exceeded your current quota|billing|credit balance/i;
+const CONTEXT_LENGTH_ERROR_PATTERN = /context[_ ]length|context window|maximum context|prompt is too long|too many tokens|input is too long/i;
+const CONTENT_FILTER_ERROR_PATTERN = /content[_ ]?(policy|filter|management)|safety|blocked/i;
 
-Generate:
-1. Unit tests for all functions/methods
-2. Integration tests for API endpoints
-3. Edge case tests
-4. Error handling tests
-5. Performance tests
-6. Security tests
+// Picks the ProviderError subclass for an API failure from its status and body
+function createProviderError(message, details = {}) {
+  const { status = null } = details;
+  const text = `${message} ${details.body || ''}`;
 
-Use Jest for JavaScript/Node.js or appropriate testing framework.
-Make tests comprehensive, readable, and maintainable.
-`;
+  // Gemini answers a bad key with 400 "API key not valid"
+  if (status === 401 || status === 403 || (status === 400 && /api[ _-]?key/i.test(text))) {
+    return new AuthError(message, details);
+  }
+  if (status === 402 || ((status === 400 || status === 429) && QUOTA_ERROR_PATTERN.test(text))) {
+    return new QuotaExceededError(message, details);
+  }
+  if (status === 429) {
+    return new RateLimitError(message, details);
+  }
+  if ((status === 400 || status === 413 || status === null) && CONTEXT_LENGTH_ERROR_PATTERN.test(text)) {
+    return new ContextLengthError(message, details);
   }
+  if ((status === 400 || status === null) && CONTENT_FILTER_ERROR_PATTERN.test(text)) {
+    return new ContentFilterError(message, details);
+  }
+  return new ProviderError(message, details);
+}
+
+/**
+ * Combines the caller's signal with an optional timeout for a single request.
+ * A timeout aborts with a TimeoutError so it is classified (and retried) as
+ * a timeout rather than treated as a cancellation.
+ */
+function createRequestSignal(parentSignal, timeoutMs) {
+  const controller = new AbortController();
+  let timer = null;
 
-  buildDocumentationPrompt(code, context) {
-    return `
-Generate comprehensive documentation for the following code.
+  const onParentAbort = () => controller.abort(parentSignal.reason);
 
-Code:
-\`\`\`
-${code}
-\`\`\`
+  if (parentSignal) {
+    if (parentSignal.aborted) {
+      onParentAbort();
+    } else {
+      parentSignal.addEventListener('abort', onParentAbort, { once: true });
+    }
+  }
 
-Context: ${JSON.stringify(context)}
+  if (timeoutMs > 0) {
+    timer = setTimeout(() => {
+      controller.abort(new DOMException(`Request timed out after ${timeoutMs}ms`, 'TimeoutError'));
+    }, timeoutMs);
+  }
 
-Generate:
-1. Function/method documentation
-2. API documentation
-3. Usage examples
-4. Configuration instructions
-5. Troubleshooting guide
+  return {
+    signal: controller.signal,
+    dispose() {
+      clearTimeout(timer);
+      if (parentSignal) {
+        parentSignal.removeEventListener('abort', onParentAbort);
+      }
+    }
+  };
+}
 
-Use JSDoc format for JavaScript or appropriate documentation format.
-Make documentation clear, complete, and user-friendly.
-`;
+// Rejects as soon as the signal fires, even if the wrapped work ignores it
+function raceWithSignal(promise, signal) {
+  if (!signal) {
+    return promise;
   }
+  throwIfAborted(signal);
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(createAbortError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
 }
 
-/**
- * Google Gemini Provider
- */
-class GeminiProvider {
-  constructor() {
-    this.name = 'gemini';
-    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models';
-    this.apiKey = null;
-    this.model = 'gemini-1.5-flash';
+function parseDurationMs(value) {
+  const str = String(value ?? '').trim();
+  if (!str) {
+    return null;
   }
 
-  async initialize(apiKey) {
-    this.apiKey = apiKey;
+  if (/^\d+(\.\d+)?$/.test(str)) {
+    const number = Number(str);
+    // Large values are epoch timestamps rather than a number of seconds
+    return number > 1e9 ? Math.max(0, number * 1000 - Date.now()) : number * 1000;
   }
 
-  async generate(prompt, options = {}) {
-    if (!this.apiKey) {
-      throw new Error('Gemini API key not provided');
-    }
+  const parts = str.match(/\d+(?:\.\d+)?(?:ms|h|m|s)/g);
+  if (parts && parts.join('') === str) {
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000 };
+    return parts.reduce((sum, part) => {
+      const [, amount, unit] = part.match(/(\d+(?:\.\d+)?)(ms|h|m|s)/);
+      return sum + Number(amount) * units[unit];
+    }, 0);
+  }
 
-    const url = `${this.baseUrl}/${this.model}:generateContent?key=${this.apiKey}`;
-    
-    const requestBody = {
-      contents: [{
-        role: 'user',
-        parts: [{
-          text: prompt
-        }]
-      }],
-      generationConfig: {
-        temperature: options.temperature || 0.7,
-        topK: options.topK || 40,
-        topP: options.topP || 0.95,
-        maxOutputTokens: options.maxTokens || 2048
-      }
-    };
+  const date = Date.parse(str);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
 
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      });
+function parseRetryAfterMs(headers) {
+  if (!headers || typeof headers.get !== 'function') {
+    return null;
+  }
 
-      if (!response.ok) {
-        const errorBody = await response.text();
-        let detail = response.statusText;
-        try {
-          const errorData = parseJsonLoose(errorBody);
-          detail = errorData.error?.message || errorData.message || detail;
-        } catch {
-          if (errorBody && errorBody.trim()) {
-            detail = errorBody.trim().slice(0, 300);
-          }
-        }
-        throw new Error(`Gemini API error: ${response.status} ${detail}`);
-      }
+  const headerNames = [
+    'retry-after',
+    'x-ratelimit-reset',
+    'x-ratelimit-reset-requests',
+    'x-ratelimit-reset-tokens',
+    'anthropic-ratelimit-requests-reset'
+  ];
 
-      const rawBody = await response.text();
-      const data = parseJsonLoose(rawBody);
-      
-      if (data.candidates && data.candidates[0] && data.candidates[0].content) {
-        return data.candidates[0].content.parts[0].text;
-      } else {
-        throw new Error('Invalid response format from Gemini API');
-      }
-    } catch (error) {
-      throw new Error(`Gemini API call failed: ${error.message}`);
+  for (const name of headerNames) {
+    const delay = parseDurationMs(headers.get(name));
+    if (delay !== null) {
+      return delay;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Error classification drives retries and fallback: a ProviderError's kind,
+ * auth | rate-limit | quota | content-filter | context-length | network |
+ * timeout | invalid-response | overload | bad-request | unknown, or the same
+ * derived from the status of errors thrown outside the provider classes.
+ */
+const RETRYABLE_ERROR_KINDS = ['rate-limit', 'overload', 'network', 'timeout'];
+// Failures caused by the request itself, not by the provider's health
+const REQUEST_ERROR_KINDS = ['bad-request', 'content-filter', 'context-length'];
+
+function classifyProviderError(error) {
+  if (error instanceof ProviderError) {
+    return error.kind;
+  }
+
+  const status = error?.status;
+
+  if (status === 401 || status === 403) {
+    return 'auth';
+  }
+  if (status === 429) {
+    return 'rate-limit';
+  }
+  if (status === 408) {
+    return 'timeout';
+  }
+  if (status === 500 || status === 502 || status === 503 || status === 504 || status === 529) {
+    return 'overload';
+  }
+  if (status >= 400 && status < 500) {
+    return 'bad-request';
+  }
+
+  for (let current = error; current; current = current.cause) {
+    // Caller cancellations never get here, so a bare abort came from a timeout
+    if (current.name === 'TimeoutError' || current.name === 'AbortError') {
+      return 'timeout';
+    }
+    if (current.name === 'TypeError' && /fetch|network/i.test(current.message)) {
+      return 'network';
+    }
+  }
+
+  return 'unknown';
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError(signal));
+      return;
+    }
+
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError(signal));
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function* readChatCompletionStream(response) {
+  for await (const { data } of readServerSentEvents(response)) {
+    if (data.trim() === '[DONE]') {
+      break;
+    }
+
+    const payload = parseJsonLoose(data);
+    const choice = payload.choices?.[0];
+    // Groq reports usage under x_groq on the final chunk
+    const usage = payload.usage || payload.x_groq?.usage;
+
+    yield createStreamChunk({
+      text: choice?.delta?.content || '',
+      finishReason: choice?.finish_reason || null,
+      usage: usage ? {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0
+      } : null
+    });
+  }
+}
+
+/**
+ * Rough token estimate for providers that don't report usage (~4 chars per token)
+ */
+function estimateTokenCount(text) {
+  const str = String(text ?? '');
+  if (!str) {
+    return 0;
+  }
+  const words = str.match(/[A-Za-z0-9_]+|[^\sA-Za-z0-9_]/g) || [];
+  return Math.ceil(Math.max(str.length / 4, words.length * 0.75));
+}
+
+/**
+ * Conversations: generate() takes either a prompt string or a messages array
+ * ({ role: 'user' | 'assistant' | 'system', content }) plus options.system.
+ * Tool-calling turns add assistant `toolCalls` and `{ role: 'tool', toolCallId,
+ * name, content }` results. Adapters map the normalized form onto each vendor.
+ *
+ * A message's content may also be an array of parts, { type: 'text', text }
+ * and { type: 'image', mimeType, data } (base64) or { type: 'image', url }
+ * (http or data URL).
+ * Normalized messages keep the text as content and list images separately.
+ */
+const DEFAULT_SYSTEM_PROMPT = 'You are an expert software developer and coding assistant.';
+
+// Accepts a data URL, an http(s) URL, or raw base64 plus its MIME type
+function createImagePart(source, mimeType = 'image/png') {
+  const dataUrl = /^data:([^;,]+);base64,(.*)$/s.exec(source || '');
+  if (dataUrl) {
+    return { type: 'image', mimeType: dataUrl[1], data: dataUrl[2] };
+  }
+  if (/^https?:\/\//i.test(source || '')) {
+    return { type: 'image', url: source };
+  }
+  if (!source) {
+    throw new Error('Image source is empty');
+  }
+  return { type: 'image', mimeType, data: source };
+}
+
+// Reads an <input type="file"> image into an image part
+function readImageFile(file) {
+  return new Promise((resolve, reject) => {
+    if (!file || !/^image\//.test(file.type || '')) {
+      reject(new Error(`Not an image file: ${file && file.name}`));
+      return;
+    }
+    const reader = new FileReader();
+    reader.onload = () => resolve({ ...createImagePart(reader.result, file.type), name: file.name });
+    reader.onerror = () => reject(reader.error || new Error(`Could not read ${file.name}`));
+    reader.readAsDataURL(file);
+  });
+}
+
+function splitContentParts(content) {
+  if (!Array.isArray(content)) {
+    return { text: String(content ?? ''), images: [] };
+  }
+
+  const texts = [];
+  const images = [];
+  for (const part of content) {
+    if (typeof part === 'string') {
+      texts.push(part);
+    } else if (part && part.type === 'image') {
+      const image = part.data ? part : createImagePart(part.url);
+      images.push(image.url ? { url: image.url } : { mimeType: image.mimeType || 'image/png', data: image.data });
+    } else if (part && part.type === 'text') {
+      texts.push(String(part.text ?? ''));
+    }
+  }
+  return { text: texts.join('\n\n'), images };
+}
+
+function conversationHasImages(input) {
+  return Array.isArray(input) &&
+    input.some((message) => Array.isArray(message.content) && message.content.some((part) => part && part.type === 'image'));
+}
+
+function imageDataUrl(image) {
+  return image.url || `data:${image.mimeType};base64,${image.data}`;
+}
+
+// Gemini and Ollama only take inline image bytes
+function requireImageData(image, providerName) {
+  if (!image.data) {
+    throw new Error(`${providerName} needs inline image data, not a URL (${image.url})`);
+  }
+  return image;
+}
+
+function normalizeConversation(input, options = {}) {
+  const list = Array.isArray(input) ? input : [{ role: 'user', content: input }];
+  const systemParts = options.system ? [options.system] : [];
+  const messages = [];
+
+  for (const message of list) {
+    const { text: content, images } = splitContentParts(message.content);
+    if (message.role === 'system') {
+      systemParts.push(content);
+      continue;
+    }
+
+    if (message.role === 'tool') {
+      messages.push({ role: 'tool', toolCallId: message.toolCallId, name: message.name, content });
+      continue;
+    }
+
+    const role = message.role === 'assistant' || message.role === 'model' ? 'assistant' : 'user';
+    const toolCalls = role === 'assistant' && message.toolCalls?.length ? message.toolCalls : null;
+    const previous = messages[messages.length - 1];
+    // Claude and Gemini reject two consecutive turns from the same role
+    if (previous && previous.role === role && !toolCalls && !previous.toolCalls) {
+      previous.content += `\n\n${content}`;
+      if (images.length) {
+        previous.images = [...(previous.images || []), ...images];
+      }
+    } else {
+      const normalized = toolCalls ? { role, content, toolCalls } : { role, content };
+      if (images.length) {
+        normalized.images = images;
+      }
+      messages.push(normalized);
+    }
+  }
+
+  if (messages.length === 0) {
+    throw new Error('At least one user message is required');
+  }
+
+  return {
+    system: systemParts.length ? systemParts.join('\n\n') : null,
+    messages
+  };
+}
+
+// Single-prompt endpoints (Hugging Face, Ollama generate) get a plain transcript
+function formatConversationAsPrompt(messages) {
+  if (messages.length === 1) {
+    return messages[0].content;
+  }
+
+  const transcript = messages
+    .map((message) => `${message.role === 'assistant' ? 'Assistant' : 'User'}: ${message.content}`)
+    .join('\n\n');
+  return `${transcript}\n\nAssistant:`;
+}
+
+function conversationText(input) {
+  return Array.isArray(input) ? input.map((message) => splitContentParts(message.content).text).join('\n') : input;
+}
+
+/**
+ * Tool calling: tools are described once in a provider-neutral form
+ * ({ name, description, parameters: JSON Schema }) and translated per vendor.
+ * Tool calls come back as { id, name, arguments }.
+ */
+function normalizeTools(tools = []) {
+  return tools.map((tool) => {
+    if (!tool || !/^[A-Za-z0-9_-]{1,64}$/.test(tool.name || '')) {
+      throw new Error(`Invalid tool name: ${tool && tool.name}`);
+    }
+    return {
+      name: tool.name,
+      description: tool.description || '',
+      parameters: tool.parameters || { type: 'object', properties: {} }
+    };
+  });
+}
+
+function createToolCallId() {
+  return 'call_' + Math.random().toString(36).substr(2, 9);
+}
+
+function parseToolArguments(value) {
+  if (value && typeof value === 'object') {
+    return { arguments: value };
+  }
+  if (!value || !String(value).trim()) {
+    return { arguments: {} };
+  }
+  try {
+    return { arguments: parseJsonLoose(value) };
+  } catch (error) {
+    return { arguments: {}, error: `Invalid tool arguments: ${error.message}` };
+  }
+}
+
+function toOpenAITools(tools) {
+  return tools.map((tool) => ({
+    type: 'function',
+    function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+  }));
+}
+
+function toOpenAIMessages(messages) {
+  return messages.map((message) => {
+    if (message.role === 'tool') {
+      return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+    }
+    if (message.toolCalls) {
+      return {
+        role: 'assistant',
+        content: message.content || null,
+        tool_calls: message.toolCalls.map((call) => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+        }))
+      };
+    }
+    if (message.images) {
+      return {
+        role: message.role,
+        content: [
+          { type: 'text', text: message.content },
+          ...message.images.map((image) => ({ type: 'image_url', image_url: { url: imageDataUrl(image) } }))
+        ]
+      };
+    }
+    return { role: message.role, content: message.content };
+  });
+}
+
+function parseOpenAIToolCalls(toolCalls) {
+  return (toolCalls || []).map((call) => ({
+    id: call.id || createToolCallId(),
+    name: call.function?.name,
+    ...parseToolArguments(call.function?.arguments)
+  }));
+}
+
+// Gemini accepts an OpenAPI subset of JSON Schema
+const GEMINI_SCHEMA_KEYS = ['type', 'format', 'description', 'nullable', 'enum', 'items', 'properties', 'required'];
+
+function toGeminiSchema(schema) {
+  if (!schema || typeof schema !== 'object') {
+    return schema;
+  }
+
+  const result = {};
+  for (const key of GEMINI_SCHEMA_KEYS) {
+    if (schema[key] === undefined) {
+      continue;
+    }
+    if (key === 'items') {
+      result.items = toGeminiSchema(schema.items);
+    } else if (key === 'properties') {
+      result.properties = Object.fromEntries(
+        Object.entries(schema.properties).map(([name, value]) => [name, toGeminiSchema(value)])
+      );
+    } else {
+      result[key] = schema[key];
+    }
+  }
+  return result;
+}
+
+async function runToolHandler(call, handlers, context) {
+  const handler = handlers[call.name];
+  if (call.error) {
+    return `Error: ${call.error}`;
+  }
+  if (typeof handler !== 'function') {
+    return `Error: unknown tool "${call.name}"`;
+  }
+
+  try {
+    const output = await handler(call.arguments || {}, context);
+    if (output === undefined) {
+      return '';
+    }
+    return typeof output === 'string' ? output : JSON.stringify(output);
+  } catch (error) {
+    if (error instanceof AbortError) {
+      throw error;
+    }
+    // Handler failures go back to the model so it can recover
+    return `Error: ${error.message}`;
+  }
+}
+
+/**
+ * Drives a tool-calling conversation: ask the model, run the tools it calls,
+ * feed the results back, until it answers in text or maxIterations is hit.
+ * `complete(messages, options)` performs one model turn.
+ */
+async function runToolLoop(complete, messages, tools, handlers = {}, options = {}) {
+  const toolDefinitions = normalizeTools(tools);
+  const { maxIterations = 5, ...turnOptions } = options;
+  const conversation = Array.isArray(messages) ? [...messages] : [{ role: 'user', content: messages }];
+  const toolCalls = [];
+
+  for (let iteration = 1; iteration <= maxIterations; iteration++) {
+    throwIfAborted(options.signal);
+
+    const result = await complete(conversation, { ...turnOptions, tools: toolDefinitions });
+    const calls = result.toolCalls || [];
+
+    conversation.push(calls.length
+      ? { role: 'assistant', content: result.text || '', toolCalls: calls }
+      : { role: 'assistant', content: result.text || '' });
+
+    if (calls.length === 0) {
+      return { text: result.text || '', messages: conversation, toolCalls, iterations: iteration };
+    }
+
+    for (const call of calls) {
+      throwIfAborted(options.signal);
+      console.log(`🔧 Tool call: ${call.name}`);
+
+      const output = await runToolHandler(call, handlers, { signal: options.signal, call });
+      toolCalls.push({ ...call, output });
+      conversation.push({ role: 'tool', toolCallId: call.id, name: call.name, content: output });
+    }
+  }
+
+  const error = new Error(`Tool loop stopped after ${maxIterations} iterations without a final answer`);
+  error.messages = conversation;
+  throw error;
+}
+
+/**
+ * Tool-call emulation for providers without a native API: the tools and a
+ * small JSON protocol are described in the system prompt, and the reply is
+ * parsed back into tool calls.
+ */
+function buildToolProtocolPrompt(tools) {
+  return [
+    'You can call the following tools:',
+    ...tools.map((tool) => `- ${tool.name}: ${tool.description}\n  Arguments (JSON Schema): ${JSON.stringify(tool.parameters)}`),
+    '',
+    'To call tools, reply with only a JSON object of the form:',
+    '{"tool_calls": [{"name": "<tool name>", "arguments": { ... }}]}',
+    'Tool results will be sent back to you. When you have the final answer, reply with plain text and no tool_calls object.'
+  ].join('\n');
+}
+
+function flattenToolMessages(messages) {
+  return messages.map((message) => {
+    if (message.role === 'tool') {
+      return { role: 'user', content: `Tool result for ${message.name} (${message.toolCallId}):\n${message.content}` };
+    }
+    if (message.toolCalls) {
+      const calls = message.toolCalls.map((call) => ({ name: call.name, arguments: call.arguments }));
+      const request = JSON.stringify({ tool_calls: calls });
+      return { role: 'assistant', content: message.content ? `${message.content}\n${request}` : request };
+    }
+    return message;
+  });
+}
+
+function parseToolProtocolReply(text, tools) {
+  let value;
+  try {
+    value = parseJsonLoose(text);
+  } catch {
+    return { text, toolCalls: [] };
+  }
+
+  const names = tools.map((tool) => tool.name);
+  const calls = value && Array.isArray(value.tool_calls) ? value.tool_calls : null;
+  if (!calls || calls.length === 0 || !calls.every((call) => names.includes(call && call.name))) {
+    return { text, toolCalls: [] };
+  }
+
+  return {
+    text: '',
+    toolCalls: calls.map((call) => ({ id: createToolCallId(), name: call.name, ...parseToolArguments(call.arguments) }))
+  };
+}
+
+async function completeWithTools(provider, messages, options = {}) {
+  if (provider.capabilities?.tools) {
+    return await provider.complete(messages, options);
+  }
+
+  const { tools, ...rest } = options;
+  const conversation = normalizeConversation(messages, rest);
+  const system = [conversation.system, buildToolProtocolPrompt(tools)].filter(Boolean).join('\n\n');
+  const result = await provider.complete(flattenToolMessages(conversation.messages), { ...rest, system });
+  return { ...result, ...parseToolProtocolReply(result.text, tools) };
+}
+
+/**
+ * Minimal JSON Schema validator (the draft-07 keywords models are asked to
+ * follow). Returns a list of "path: problem" strings; empty means valid.
+ */
+function getJsonType(value) {
+  if (value === null) {
+    return 'null';
+  }
+  if (Array.isArray(value)) {
+    return 'array';
+  }
+  return typeof value;
+}
+
+function matchesJsonType(value, type) {
+  if (type === 'integer') {
+    return Number.isInteger(value);
+  }
+  if (type === 'number') {
+    return typeof value === 'number' && Number.isFinite(value);
+  }
+  return getJsonType(value) === type;
+}
+
+function validateJsonSchema(value, schema, path = '$') {
+  if (schema === true || schema === undefined) {
+    return [];
+  }
+  if (schema === false) {
+    return [`${path}: is not allowed`];
+  }
+
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesJsonType(value, type))) {
+      return [`${path}: expected ${types.join(' or ')}, got ${getJsonType(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.some((option) => JSON.stringify(option) === JSON.stringify(value))) {
+    errors.push(`${path}: must be one of ${schema.enum.map((option) => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path}: must equal ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: must be at most ${schema.maxLength} characters`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path}: must match /${schema.pattern}/`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path}: must be <= ${schema.maximum}`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(`${path}: must be > ${schema.exclusiveMinimum}`);
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(`${path}: must be < ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: must have at most ${schema.maxItems} items`);
+    }
+    if (schema.uniqueItems && new Set(value.map((item) => JSON.stringify(item))).size !== value.length) {
+      errors.push(`${path}: items must be unique`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => {
+        errors.push(...validateJsonSchema(item, schema.items, `${path}[${index}]`));
+      });
+    }
+  }
+
+  if (getJsonType(value) === 'object') {
+    const properties = schema.properties || {};
+
+    for (const name of schema.required || []) {
+      if (value[name] === undefined) {
+        errors.push(`${path}.${name}: is required`);
+      }
+    }
+
+    for (const [name, propertyValue] of Object.entries(value)) {
+      if (properties[name]) {
+        errors.push(...validateJsonSchema(propertyValue, properties[name], `${path}.${name}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${name}: is not an allowed property`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateJsonSchema(propertyValue, schema.additionalProperties, `${path}.${name}`));
+      }
+    }
+  }
+
+  if (schema.allOf) {
+    for (const subschema of schema.allOf) {
+      errors.push(...validateJsonSchema(value, subschema, path));
+    }
+  }
+  if (schema.anyOf && !schema.anyOf.some((subschema) => validateJsonSchema(value, subschema, path).length === 0)) {
+    errors.push(`${path}: must match at least one of the allowed schemas`);
+  }
+  if (schema.oneOf) {
+    const matches = schema.oneOf.filter((subschema) => validateJsonSchema(value, subschema, path).length === 0).length;
+    if (matches !== 1) {
+      errors.push(`${path}: must match exactly one of the allowed schemas (matched ${matches})`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Structured output: asks for JSON (using the vendor's JSON mode when there
+ * is one), validates it against the schema and, on failure, sends the
+ * validation errors back for another attempt.
+ * `generate(messages, options)` performs one model call and returns text.
+ */
+async function runStructuredGeneration(generate, prompt, schema, options = {}) {
+  const { maxAttempts = 3, ...generateOptions } = options;
+  const messages = Array.isArray(prompt) ? [...prompt] : [{ role: 'user', content: prompt }];
+  const system = [
+    generateOptions.system,
+    `Respond with only a JSON value (no prose, no code fences) that matches this JSON Schema:\n${JSON.stringify(schema, null, 2)}`
+  ].filter(Boolean).join('\n\n');
+
+  let text = '';
+  let errors = [];
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    text = await generate(messages, { ...generateOptions, system, responseFormat: 'json' });
+
+    let value;
+    try {
+      value = parseJsonLoose(text);
+      errors = validateJsonSchema(value, schema);
+    } catch (error) {
+      errors = [`$: ${error.message}`];
+    }
+
+    if (errors.length === 0) {
+      return value;
+    }
+
+    console.warn(`Structured output failed validation (attempt ${attempt}/${maxAttempts}):`, errors);
+    messages.push(
+      { role: 'assistant', content: text },
+      { role: 'user', content: `That response does not match the schema:\n${errors.map((error) => `- ${error}`).join('\n')}\n\nReply again with only the corrected JSON.` }
+    );
+  }
+
+  const error = new Error(`Structured output did not match the schema after ${maxAttempts} attempts:\n${errors.map((problem) => `- ${problem}`).join('\n')}`);
+  error.validationErrors = errors;
+  error.attempts = maxAttempts;
+  error.response = text;
+  throw error;
+}
+
+/**
+ * Prompt Library
+ * Named, versioned prompt templates with declared variables. Placeholders are
+ * written {{name}}; every placeholder must be declared in `variables`, where a
+ * variable is required unless it has a default. Values are escaped by kind:
+ *
+ *   text  String(value), objects as JSON (the default)
+ *   json  JSON.stringify(value)
+ *   code  for use inside ``` fences; fences in the value can't close them
+ *   raw   inserted as is
+ *
+ * A template is either one `template` string or `sections` ({ name, priority,
+ * template }) that render to PromptBudgeter sections. Users can override the
+ * text of any template from settings; overrides are versioned "<base>-custom.<n>"
+ * so outputs from each revision can be told apart.
+ */
+const PROMPT_OVERRIDES_STORAGE_KEY = 'promptTemplateOverrides';
+
+const DEFAULT_PROMPT_TEMPLATES = [
+  {
+    id: 'code.generate',
+    version: 1,
+    description: 'Code generation (EnhancedAIProvider.generateCode)',
+    variables: {
+      task: { escape: 'raw' },
+      projectType: { default: 'Web Application' },
+      techStack: { escape: 'json', default: {} },
+      requirements: { default: 'Not specified' }
+    },
+    template: `
+You are an expert software developer. Generate high-quality, production-ready code.
+
+Context:
+- Project Type: {{projectType}}
+- Technology Stack: {{techStack}}
+- Requirements: {{requirements}}
+
+Task: {{task}}
+
+Requirements:
+1. Write clean, readable, and maintainable code
+2. Follow best practices and design patterns
+3. Include proper error handling
+4. Add meaningful comments
+5. Ensure code is production-ready
+6. Use modern syntax and features
+7. Include type definitions if applicable
+8. Follow security best practices
+
+Generate complete, working code that can be immediately used.
+`
+  },
+  {
+    id: 'tests.generate',
+    version: 1,
+    description: 'Test generation (EnhancedAIProvider.generateTests)',
+    variables: {
+      code: { escape: 'code' },
+      requirements: { escape: 'json', default: {} }
+    },
+    sections: [
+      { priority: 'required', template: 'You are an expert QA engineer. Generate comprehensive test cases for the following code.' },
+      { priority: 'high', name: 'code', template: 'Code:\n```\n{{code}}\n```' },
+      { priority: 'normal', name: 'requirements', template: 'Requirements: {{requirements}}' },
+      {
+        priority: 'required',
+        template: `
+Generate:
+1. Unit tests for all functions/methods
+2. Integration tests for API endpoints
+3. Edge case tests
+4. Error handling tests
+5. Performance tests
+6. Security tests
+
+Use Jest for JavaScript/Node.js or appropriate testing framework.
+Make tests comprehensive, readable, and maintainable.
+`
+      }
+    ]
+  },
+  {
+    id: 'docs.generate',
+    version: 1,
+    description: 'Documentation (EnhancedAIProvider.generateDocumentation)',
+    variables: {
+      code: { escape: 'code' },
+      context: { escape: 'json', default: {} }
+    },
+    sections: [
+      { priority: 'required', template: 'Generate comprehensive documentation for the following code.' },
+      { priority: 'high', name: 'code', template: 'Code:\n```\n{{code}}\n```' },
+      { priority: 'low', name: 'context', template: 'Context: {{context}}' },
+      {
+        priority: 'required',
+        template: `
+Generate:
+1. Function/method documentation
+2. API documentation
+3. Usage examples
+4. Configuration instructions
+5. Troubleshooting guide
+
+Use JSDoc format for JavaScript or appropriate documentation format.
+Make documentation clear, complete, and user-friendly.
+`
+      }
+    ]
+  },
+  {
+    id: 'specialist.react-component',
+    version: 1,
+    description: 'React component (CodeGenerationSpecialist)',
+    variables: {
+      name: {},
+      props: { escape: 'json', default: {} },
+      features: { escape: 'json', default: [] }
+    },
+    template: `
+Generate a React component named {{name}} with the following specifications:
+
+Props: {{props}}
+Features: {{features}}
+
+Requirements:
+1. Use functional components with hooks
+2. Include TypeScript types
+3. Follow React best practices
+4. Include proper error handling
+5. Make it responsive
+6. Include accessibility features
+7. Add comprehensive comments
+
+Generate complete, production-ready code.
+`
+  },
+  {
+    id: 'specialist.component-from-image',
+    version: 1,
+    description: 'React component from mockup images (CodeGenerationSpecialist)',
+    variables: {
+      name: {},
+      props: { escape: 'json', default: {} },
+      notes: { default: '' }
+    },
+    template: `
+Generate a React component named {{name}} that reproduces the attached mockup or screenshot images.
+
+Props: {{props}}
+Notes: {{notes}}
+
+Requirements:
+1. Match the layout, spacing, colors and typography shown in the images
+2. Use functional components with hooks
+3. Include TypeScript types
+4. Use semantic HTML and include accessibility features
+5. Make it responsive
+6. Use placeholder content only where text in the images is unreadable
+
+Generate complete, production-ready code.
+`
+  },
+  {
+    id: 'specialist.express-api',
+    version: 1,
+    description: 'Express API (CodeGenerationSpecialist)',
+    variables: {
+      endpoints: { escape: 'json', default: [] },
+      features: { escape: 'json', default: [] }
+    },
+    template: `
+Generate an Express.js API with the following specifications:
+
+Endpoints: {{endpoints}}
+Features: {{features}}
+
+Requirements:
+1. Use Express.js with proper middleware
+2. Include input validation
+3. Add error handling
+4. Include authentication middleware
+5. Add rate limiting
+6. Include CORS configuration
+7. Add logging
+8. Include API documentation
+9. Add database integration
+10. Follow RESTful principles
+
+Generate complete, production-ready code.
+`
+  },
+  {
+    id: 'specialist.database-schema',
+    version: 1,
+    description: 'Database schema (CodeGenerationSpecialist)',
+    variables: {
+      entities: { escape: 'json', default: [] },
+      relationships: { escape: 'json', default: [] }
+    },
+    template: `
+Generate a database schema with the following specifications:
+
+Entities: {{entities}}
+Relationships: {{relationships}}
+
+Requirements:
+1. Use SQL DDL statements
+2. Include proper indexes
+3. Add foreign key constraints
+4. Include data validation
+5. Add comments for each table/column
+6. Consider performance optimization
+7. Include migration scripts
+8. Add sample data
+
+Generate complete, production-ready database schema.
+`
+  },
+  {
+    id: 'specialist.tests',
+    version: 1,
+    description: 'Tests for a snippet (CodeGenerationSpecialist)',
+    variables: {
+      code: { escape: 'code' },
+      testType: { default: 'unit' }
+    },
+    template: `
+Generate {{testType}} tests for the following code:
+
+Code:
+\`\`\`
+{{code}}
+\`\`\`
+
+Requirements:
+1. Use Jest testing framework
+2. Test all functions/methods
+3. Include edge cases
+4. Test error scenarios
+5. Include setup/teardown
+6. Add meaningful test descriptions
+7. Ensure good coverage
+8. Mock external dependencies
+
+Generate comprehensive, production-ready tests.
+`
+  },
+  {
+    id: 'planner.analyze-requirements',
+    version: 1,
+    description: 'Requirements analysis (ProjectPlannerAgent)',
+    variables: {
+      requirements: { escape: 'json' }
+    },
+    template: `
+    Analyze the following app requirements and extract key information:
+    
+    Requirements: {{requirements}}
+    
+    Extract:
+    1. App name and description
+    2. Core features and functionality
+    3. User types and roles
+    4. Data requirements
+    5. Integration needs
+    6. Performance requirements
+    7. Security requirements
+    8. Deployment preferences
+    `
+  },
+  {
+    id: 'chat.system',
+    version: 1,
+    description: 'System prompt of the chat console (index.html)',
+    variables: {},
+    template: `You are an AI coding assistant.
+
+For each request, provide a detailed response on how to accomplish the task. Include:
+1. Step-by-step approach
+2. Code examples if applicable
+3. Best practices and considerations
+
+Respond in a clear, structured format.`
+  },
+  {
+    id: 'ensemble.judge',
+    version: 1,
+    description: 'Judge for ensemble code generation',
+    variables: {
+      task: { escape: 'raw' },
+      candidates: { escape: 'raw' }
+    },
+    template: `
+You are a senior code reviewer judging candidate solutions to the same task.
+
+Task: {{task}}
+
+{{candidates}}
+
+Score every candidate from 0 to 10 on correctness, completeness, code quality and security.
+Judge the code only; ignore the order of the candidates and which model wrote them.
+`
+  }
+];
+
+const PROMPT_PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z_][A-Za-z0-9_]*)\s*\}\}/g;
+
+function escapePromptValue(value, escape = 'text') {
+  if (escape === 'json') {
+    return JSON.stringify(value);
+  }
+  if (escape === 'raw') {
+    return String(value);
+  }
+
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  // A ``` inside the value would end the template's code fence early
+  return escape === 'code' ? text.replace(/```/g, '\\`\\`\\`') : text;
+}
+
+class PromptLibrary {
+  constructor(templates = DEFAULT_PROMPT_TEMPLATES, storageKey = PROMPT_OVERRIDES_STORAGE_KEY) {
+    this.storageKey = storageKey;
+    this.templates = new Map();
+    for (const template of templates) {
+      this.register(template);
+    }
+    this.overrides = this.loadOverrides();
+  }
+
+  loadOverrides() {
+    const stored = localStorage.getItem(this.storageKey);
+    if (!stored) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      console.warn('Corrupted prompt template overrides detected. Using defaults.', error);
+      localStorage.removeItem(this.storageKey);
+      return {};
+    }
+  }
+
+  saveOverrides() {
+    localStorage.setItem(this.storageKey, JSON.stringify(this.overrides));
+  }
+
+  // Throws when the text uses a placeholder the template doesn't declare
+  validate(id, body, variables) {
+    const texts = body.sections ? body.sections.map((section) => section.template) : [body.template];
+    if (texts.some((text) => typeof text !== 'string')) {
+      throw new Error(`Prompt template "${id}" needs a template string or sections with template strings`);
+    }
+
+    const undeclared = new Set();
+    for (const text of texts) {
+      for (const [, name] of text.matchAll(PROMPT_PLACEHOLDER_PATTERN)) {
+        if (!variables[name]) {
+          undeclared.add(name);
+        }
+      }
+    }
+    if (undeclared.size > 0) {
+      throw new Error(`Prompt template "${id}" uses undeclared variables: ${[...undeclared].join(', ')}`);
+    }
+  }
+
+  register(template) {
+    if (!template || !template.id || !Number.isInteger(template.version)) {
+      throw new Error('Prompt templates need an id and an integer version');
+    }
+    const variables = template.variables || {};
+    this.validate(template.id, template, variables);
+
+    const versions = this.templates.get(template.id) || [];
+    const entry = { ...template, variables };
+    const existing = versions.findIndex((candidate) => candidate.version === template.version);
+    if (existing >= 0) {
+      versions[existing] = entry;
+    } else {
+      versions.push(entry);
+      versions.sort((a, b) => a.version - b.version);
+    }
+    this.templates.set(template.id, versions);
+    return this;
+  }
+
+  has(id) {
+    return this.templates.has(id);
+  }
+
+  // Latest version, with the user's override applied, unless a version is asked for
+  get(id, version = null) {
+    const versions = this.templates.get(id);
+    if (!versions) {
+      throw new Error(`Unknown prompt template: ${id}`);
+    }
+
+    if (version !== null) {
+      const match = versions.find((candidate) => String(candidate.version) === String(version));
+      if (!match) {
+        throw new Error(`Prompt template ${id} has no version ${version}`);
+      }
+      return match;
+    }
+
+    const latest = versions[versions.length - 1];
+    const override = this.getOverride(id);
+    if (!override) {
+      return latest;
+    }
+    return {
+      ...latest,
+      template: override.template,
+      sections: override.sections,
+      version: `${latest.version}-custom.${override.revision}`,
+      overridden: true
+    };
+  }
+
+  list() {
+    return Array.from(this.templates.keys()).map((id) => {
+      const template = this.get(id);
+      return {
+        id,
+        version: template.version,
+        description: template.description || '',
+        variables: Object.keys(template.variables),
+        overridden: Boolean(template.overridden)
+      };
+    });
+  }
+
+  render(id, values = {}, { version = null } = {}) {
+    const template = this.get(id, version);
+    const resolved = {};
+    const missing = [];
+
+    for (const [name, spec] of Object.entries(template.variables)) {
+      const value = values[name] ?? spec.default;
+      if (value === undefined || value === null) {
+        missing.push(name);
+      } else {
+        resolved[name] = escapePromptValue(value, spec.escape);
+      }
+    }
+
+    if (missing.length > 0) {
+      const error = new Error(`Prompt template ${id}@${template.version} is missing variables: ${missing.join(', ')}`);
+      error.templateId = id;
+      error.missingVariables = missing;
+      throw error;
+    }
+
+    const fill = (text) => text.replace(PROMPT_PLACEHOLDER_PATTERN, (match, name) => resolved[name]);
+    const tag = { id, version: template.version };
+
+    if (template.sections) {
+      const sections = template.sections.map((section) => ({
+        name: section.name,
+        priority: section.priority,
+        text: fill(section.template)
+      }));
+      return { text: sections.map((section) => section.text.trim()).join('\n\n'), sections, template: tag };
+    }
+
+    return { text: fill(template.template), sections: null, template: tag };
+  }
+
+  getOverride(id) {
+    const override = this.overrides[id];
+    return override && (override.template || override.sections) ? override : null;
+  }
+
+  // body is { template } or { sections }, checked against the declared variables
+  setOverride(id, body) {
+    const versions = this.templates.get(id);
+    if (!versions) {
+      throw new Error(`Unknown prompt template: ${id}`);
+    }
+    const base = versions[versions.length - 1];
+    const override = body.sections
+      ? { sections: body.sections.map((section) => ({ name: section.name, priority: section.priority || 'normal', template: section.template })) }
+      : { template: body.template };
+    this.validate(id, override, base.variables);
+
+    override.revision = (this.overrides[id]?.revision || 0) + 1;
+    override.updatedAt = new Date().toISOString();
+    this.overrides[id] = override;
+    this.saveOverrides();
+    return this.get(id);
+  }
+
+  // Keeps the revision count so a later override doesn't reuse an old version label
+  removeOverride(id) {
+    if (this.overrides[id]) {
+      this.overrides[id] = { revision: this.overrides[id].revision };
+    }
+    this.saveOverrides();
+  }
+}
+
+const promptLibrary = new PromptLibrary();
+
+/**
+ * Ensemble code generation helpers. Candidates from several providers (or
+ * several samples of one) are scored by objective checks and a judge model;
+ * see EnhancedAIProvider.generateCodeEnsemble().
+ */
+const DEFAULT_ENSEMBLE_WEIGHTS = { judge: 0.5, parse: 0.2, lint: 0.1, tests: 0.2 };
+
+const ENSEMBLE_JUDGE_SCHEMA = {
+  type: 'object',
+  required: ['scores'],
+  properties: {
+    scores: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['candidate', 'score'],
+        properties: {
+          candidate: { type: 'integer', minimum: 1 },
+          score: { type: 'number', minimum: 0, maximum: 10 },
+          reason: { type: 'string' }
+        }
+      }
+    }
+  }
+};
+
+const CODE_LINT_RULES = [
+  { id: 'no-eval', pattern: /\beval\s*\(/, message: 'uses eval()' },
+  { id: 'no-debugger', pattern: /^\s*debugger\s*;?\s*$/m, message: 'leaves a debugger statement' },
+  { id: 'no-placeholder', pattern: /\/\/\s*(TODO|FIXME)\b|\b(implement|add) (this|your .*) here\b/i, message: 'leaves a TODO or placeholder' },
+  { id: 'no-elision', pattern: /^\s*(\/\/|#|\/\*)\s*\.\.\.|\brest of (the )?(code|implementation)\b/im, message: 'elides part of the code' },
+  { id: 'no-var', pattern: /^\s*var\s+/m, message: 'uses var' },
+  { id: 'no-hardcoded-secret', pattern: /\b(api[_-]?key|secret|password)\s*[:=]\s*['"][^'"]{8,}['"]/i, message: 'hardcodes a secret' }
+];
+
+const PARSEABLE_LANGUAGES = ['js', 'javascript', 'mjs', 'cjs', 'node', 'json'];
+
+// Code of a response: its fenced blocks joined, or the whole text without fences
+function extractCodeFromResponse(text) {
+  const blocks = [...String(text).matchAll(/```([\w+-]*)[^\n]*\n([\s\S]*?)```/g)];
+  if (blocks.length === 0) {
+    return { code: String(text).trim(), language: null };
+  }
+  return {
+    code: blocks.map((block) => block[2].trim()).join('\n\n'),
+    language: blocks[0][1].toLowerCase() || null
+  };
+}
+
+/**
+ * Compiles (without running) JavaScript and JSON. Module syntax is stripped
+ * first since Function bodies can't contain import/export. Other languages
+ * are skipped: { passed: null }.
+ */
+function checkCodeParses(code, language) {
+  if (language && !PARSEABLE_LANGUAGES.includes(language)) {
+    return { passed: null, score: null, details: `No parser for ${language}` };
+  }
+
+  try {
+    if (language === 'json') {
+      JSON.parse(code);
+    } else {
+      const script = code
+        .replace(/^\s*import\s[^;\n]*;?\s*$/gm, '')
+        .replace(/^(\s*)export\s+default\s+/gm, '$1void ')
+        .replace(/^(\s*)export\s+(?=(async\s+)?(function|class|const|let|var)\b)/gm, '$1')
+        .replace(/^\s*export\s*\{[^}]*\}\s*(from\s*['"][^'"]*['"])?;?\s*$/gm, '');
+      new Function(script);
+    }
+    return { passed: true, score: 1, details: 'Parses' };
+  } catch (error) {
+    return { passed: false, score: 0, details: `${error.name}: ${error.message}` };
+  }
+}
+
+function lintCode(code, rules = CODE_LINT_RULES) {
+  const issues = rules.filter((rule) => rule.pattern.test(code)).map((rule) => ({ rule: rule.id, message: rule.message }));
+  return {
+    passed: issues.length === 0,
+    score: Math.max(0, 1 - issues.length * 0.25),
+    details: issues.map((issue) => issue.message).join(', ') || 'No issues',
+    issues
+  };
+}
+
+class EnhancedAIProvider {
+  constructor(registry = providerRegistry) {
+    this.registry = registry;
+    this.providers = {};
+    for (const name of this.registry.list()) {
+      this.providers[name] = this.registry.create(name);
+    }
+    
+    this.currentProvider = 'gemini';
+    // Set by setProvider(); category routing then keeps to currentProvider
+    this.providerPinned = false;
+    this.fallbackChain = ['gemini', 'openai', 'claude', 'groq'];
+    this.usageStats = {};
+    // Shared with the budget manager and the agents, so routing learns from every call on the page
+    this.costOptimizer = budgetManager.costOptimizer;
+    this.ledger = new UsageLedger();
+
+    this.retryPolicy = {
+      maxRetries: 2,
+      baseDelayMs: 500,
+      maxDelayMs: 8000,
+      maxRetryAfterMs: 60000
+    };
+    this.circuitBreakerOptions = { failureThreshold: 5, cooldownMs: 30000 };
+    this.circuitBreakers = {};
+    this.maxToolIterations = 5;
+    // Off until enableCache() is called
+    this.responseCache = null;
+    // Used by embed() when no embeddings provider can be reached
+    this.fallbackEmbedder = new HashingEmbedder();
+    this.promptLibrary = promptLibrary;
+    this.templateStats = this.loadTemplateStats();
+    this.healthMonitor = providerHealthMonitor;
+    // Shared, so caps hold across every provider instance on the page
+    this.budgetManager = budgetManager;
+    // onRequest / onResponse / onError middleware; see use()
+    this.hooks = new ProviderHooks();
+    this.hooks.use(traceRecorder.hooks);
+
+    this.loadOpenAICompatibleProviders();
+  }
+
+  // Adds request/response/error hooks to every provider call; returns a function that removes them
+  use(hooks) {
+    return this.hooks.use(hooks);
+  }
+
+  // Providers registered after this instance was created are picked up on first use
+  getProvider(name) {
+    if (!this.providers[name]) {
+      this.providers[name] = this.registry.create(name);
+    }
+    return this.providers[name];
+  }
+
+  registerOpenAICompatible(config) {
+    validateOpenAICompatibleConfig(config);
+
+    this.registry.register(config.name, () => new OpenAICompatibleProvider(config), {
+      streaming: true,
+      tools: config.supportsTools !== false,
+      jsonMode: true,
+      // Only servers configured with an embedding model get embed() calls
+      embeddings: Boolean(config.embeddingModel),
+      contextLength: config.contextLength || 8192
+    });
+
+    const provider = this.registry.create(config.name);
+    // Re-registering (e.g. after editing the endpoint) keeps the key already set
+    const existing = this.providers[config.name];
+    if (existing && existing.apiKey) {
+      provider.apiKey = existing.apiKey;
+    }
+
+    this.providers[config.name] = provider;
+    this.costOptimizer.registerProvider(
+      config.name,
+      { model: provider.model, speed: config.speed || 5, quality: config.quality || 7 },
+      config.pricing
+    );
+    return provider;
+  }
+
+  loadOpenAICompatibleProviders() {
+    for (const config of loadOpenAICompatibleConfigs()) {
+      try {
+        this.registerOpenAICompatible(config);
+      } catch (error) {
+        console.warn(`Skipping OpenAI-compatible provider ${config.name}:`, error.message);
+      }
+    }
+  }
+
+  getCandidateProviders(options = {}) {
+    const selectedProvider = this.selectProvider(options);
+    // A pinned provider (e.g. an ensemble candidate) gets no fallback
+    const candidates = options.provider ? [selectedProvider] : [
+      selectedProvider,
+      ...this.fallbackChain.filter((name) => name !== selectedProvider)
+    ];
+
+    // e.g. options.requires = ['vision'] skips providers that can't see images
+    const requires = options.requires || [];
+    return candidates.filter((name) =>
+      this.registry.has(name) &&
+      requires.every((capability) => this.registry.supports(name, capability)) &&
+      // Providers whose last health check failed sit out until the result expires
+      (options.provider || this.healthMonitor.isAvailable(name, this.getProvider(name)))
+    );
+  }
+
+  // Drops (or reorders) candidates by the call's estimated cost; see BudgetManager.plan().
+  // options.projectId and options.agent pick the project and agent caps.
+  applyBudget(candidates, prompt, options = {}) {
+    if (!this.budgetManager || !this.budgetManager.hasLimits()) {
+      return candidates;
+    }
+
+    return this.budgetManager.plan(candidates.map((name) => {
+      const model = options.models?.[name] || options.model || this.getProvider(name).model;
+      return { provider: name, estimate: this.budgetManager.estimate(name, model, prompt, options, this.costOptimizer) };
+    }), { projectId: options.projectId, agent: options.agent });
+  }
+
+  // Cached for healthMonitor.ttlMs; { force: true } checks again
+  async healthCheck(name = this.currentProvider, options = {}) {
+    return await this.healthMonitor.check(name, this.getProvider(name), options);
+  }
+
+  // Checks the current provider and the fallback chain; returns { [name]: result }
+  async checkProviders(names = [this.currentProvider, ...this.fallbackChain], options = {}) {
+    const unique = names.filter((name, index) => names.indexOf(name) === index && this.registry.has(name));
+    const results = await Promise.all(unique.map((name) => this.healthCheck(name, options)));
+    return Object.fromEntries(unique.map((name, index) => [name, results[index]]));
+  }
+
+  async listModels(name = this.currentProvider, options = {}) {
+    const result = await this.healthCheck(name, options);
+    return result.models;
+  }
+
+  async generate(prompt, options = {}) {
+    const result = await this.completeWithFallback(prompt, options);
+    return result.text;
+  }
+
+  /**
+   * Embeds texts with the first reachable provider that supports embeddings,
+   * falling back to the offline HashingEmbedder. Returns { vectors, model, provider }.
+   */
+  async embed(texts, options = {}) {
+    const candidates = this.getCandidateProviders({ ...options, requires: [...(options.requires || []), 'embeddings'] });
+
+    for (const providerName of candidates) {
+      throwIfAborted(options.signal);
+
+      if (!this.getCircuitBreaker(providerName).tryAcquire()) {
+        continue;
+      }
+
+      try {
+        const result = await this.withRetries(providerName, options, async () => {
+          const { provider, keyEntry } = this.leaseProvider(providerName);
+          try {
+            const embedding = await provider.embed(texts, options);
+            return keyEntry ? { ...embedding, apiKeyLabel: keyEntry.label } : embedding;
+          } catch (error) {
+            throw this.releaseApiKey(providerName, keyEntry, error);
+          }
+        });
+        return { ...result, provider: providerName };
+      } catch (error) {
+        if (error instanceof AbortError) {
+          throw error;
+        }
+        console.warn(`Embeddings from ${providerName} failed:`, error.message);
+      }
+    }
+
+    const result = await this.fallbackEmbedder.embed(texts);
+    return { ...result, provider: 'hashing' };
+  }
+
+  /**
+   * Fits prompt sections (see PromptBudgeter) into the context window of the
+   * provider and model the request would go to. Returns the prompt string.
+   */
+  async fitPrompt(sections, options = {}) {
+    const providerName = this.selectProvider(options);
+    const model = options.model || this.getProvider(providerName).model;
+    const contextLength = getContextLength(providerName, model, this.registry);
+    const budgeter = new PromptBudgeter({
+      contextLength,
+      reserveTokens: getResponseReserve(contextLength, options.maxTokens),
+      summarize: (text, maxTokens) => this.generate(buildSummaryPrompt(text, maxTokens), {
+        models: SUMMARY_MODELS,
+        maxTokens,
+        temperature: 0,
+        signal: options.signal
+      })
+    });
+
+    const { prompt, tokens, budget, steps } = await budgeter.fit(sections);
+    if (steps.length > 0) {
+      console.log(`✂️ Prompt trimmed to ~${tokens}/${budget} tokens for ${model}:`, steps.map((step) => step.strategy).join(', '));
+    }
+    return prompt;
+  }
+
+  /**
+   * Renders a PromptLibrary template (fitting sectioned ones into the context
+   * window) and completes it. The result carries the template id and version;
+   * options.templates lists templates the variables were rendered from.
+   * options.images (image parts or data URLs) are sent with the prompt and
+   * limit the candidates to providers with vision.
+   */
+  async generateFromTemplate(id, variables = {}, options = {}) {
+    const { images = [], ...completionOptions } = options;
+    const { text, sections, template } = this.promptLibrary.render(id, variables, { version: options.templateVersion ?? null });
+    const templates = [...(options.templates || []), template];
+    const rendered = sections ? await this.fitPrompt(sections, completionOptions) : text;
+
+    let prompt = rendered;
+    if (images.length) {
+      const imageParts = images.map((image) => typeof image === 'string' ? createImagePart(image) : image);
+      prompt = [{ role: 'user', content: [{ type: 'text', text: rendered }, ...imageParts] }];
+      completionOptions.requires = [...(options.requires || []).filter((capability) => capability !== 'vision'), 'vision'];
+    }
+
+    const result = await this.completeWithFallback(prompt, { ...completionOptions, templates });
+    return { ...result, template };
+  }
+
+  async generateStructured(prompt, jsonSchema, options = {}) {
+    return await runStructuredGeneration(
+      (messages, turnOptions) => this.generate(messages, turnOptions),
+      prompt,
+      jsonSchema,
+      options
+    );
+  }
+
+  /**
+   * Runs a tool-calling conversation. `handlers` maps tool names to
+   * async (args, { signal, call }) => result functions.
+   */
+  async generateWithTools(messages, tools, handlers = {}, options = {}) {
+    return await runToolLoop(
+      (conversation, turnOptions) => this.completeWithFallback(conversation, turnOptions),
+      messages,
+      tools,
+      handlers,
+      { maxIterations: this.maxToolIterations, ...options }
+    );
+  }
+
+  async completeWithFallback(prompt, options = {}) {
+    // Selected provider first (based on cost and performance), then the fallback chain
+    const candidates = this.applyBudget(this.getCandidateProviders(options), prompt, options);
+    const hasImages = conversationHasImages(prompt);
+    let lastError = null;
+    const openCircuits = [];
+    
+    for (const providerName of candidates) {
+      throwIfAborted(options.signal);
+
+      // options.models picks a model per provider, e.g. a cheaper one for summaries
+      const modelOverride = options.models?.[providerName] ||
+        (!options.model && hasImages ? getVisionModel(providerName, this.getProvider(providerName).model) : null);
+      const providerOptions = modelOverride ? { ...options, model: modelOverride } : options;
+
+      // A cached answer is served even while the provider's circuit is open
+      const cacheMode = this.responseCache ? this.responseCache.getMode(options) : null;
+      const model = providerOptions.model || this.getProvider(providerName).model;
+      const cacheKey = cacheMode ? await this.getCacheKey(providerName, model, prompt, options) : null;
+
+      if (cacheKey && cacheMode === 'use') {
+        const cached = await this.readCache(cacheKey);
+        if (cached) {
+          this.trackCacheHit(providerName, this.resolveUsage(prompt, cached.text, cached.usage), { ...options, model: cached.model || model });
+          return { ...cached, cached: true, provider: providerName };
+        }
+        this.getProviderStats(providerName).cacheMisses++;
+      }
+
+      const contextError = this.checkContextLength(providerName, model, prompt, options);
+      if (contextError) {
+        lastError = contextError;
+        continue;
+      }
+
+      if (!this.getCircuitBreaker(providerName).tryAcquire()) {
+        console.warn(`Skipping ${providerName}: circuit breaker is open`);
+        openCircuits.push(providerName);
+        continue;
+      }
+
+      try {
+        if (providerName !== candidates[0]) {
+          console.log(`Trying fallback provider: ${providerName}`);
+        }
+
+        const providerStart = Date.now();
+        const result = await this.withRetries(providerName, providerOptions, () =>
+          this.completeWithProvider(providerName, prompt, providerOptions)
+        );
+
+        if (cacheKey) {
+          await this.writeCache(cacheKey, result, { provider: providerName, model: result.model || model });
+        }
+        
+        // Track usage
+        this.trackUsage(providerName, Date.now() - providerStart, this.resolveUsage(prompt, result.text, result.usage), {
+          ...options,
+          model: result.model,
+          apiKeyLabel: result.apiKeyLabel
+        });
+        
+        return options.templates
+          ? { ...result, provider: providerName, templates: options.templates }
+          : { ...result, provider: providerName };
+      } catch (error) {
+        if (error instanceof AbortError) {
+          throw error;
+        }
+        console.error(`Provider ${providerName} failed:`, error);
+        lastError = error;
+      }
+    }
+    
+    throw this.createAllFailedError(lastError, openCircuits);
+  }
+
+  // Names the providers an open circuit breaker skipped, so a loop that sent
+  // no request at all still says why
+  createAllFailedError(lastError, openCircuits) {
+    const open = openCircuits.map((name) => {
+      const { nextProbeAt } = this.getCircuitBreaker(name).getState();
+      return nextProbeAt ? `${name} (retry in ${Math.ceil((nextProbeAt - Date.now()) / 1000)}s)` : name;
+    });
+    const error = new Error(open.length > 0
+      ? `All AI providers failed; circuit breaker open for ${open.join(', ')}`
+      : 'All AI providers failed');
+    error.cause = lastError;
+    error.openCircuits = openCircuits;
+    return error;
+  }
+
+  // A ContextLengthError when the prompt can't fit the model's context window, otherwise null
+  checkContextLength(providerName, model, prompt, options) {
+    const contextLength = getContextLength(providerName, model, this.registry);
+    const promptTokens = estimateTokenCount(conversationText(prompt)) + estimateTokenCount(options.system);
+    if (promptTokens <= contextLength) {
+      return null;
+    }
+
+    console.warn(`Skipping ${providerName}: prompt needs ~${promptTokens} tokens, ${model} has ${contextLength}`);
+    return new ContextLengthError(`Prompt too long for ${providerName} (${model}): ~${promptTokens} tokens, context is ${contextLength}`, {
+      provider: providerName,
+      model
+    });
+  }
+
+  enableCache(options = {}) {
+    this.responseCache = options instanceof ResponseCache ? options : new ResponseCache(options);
+    return this.responseCache;
+  }
+
+  disableCache() {
+    this.responseCache = null;
+  }
+
+  async clearCache() {
+    if (this.responseCache) {
+      await this.responseCache.clear();
+    }
+  }
+
+  // Cache failures are logged and otherwise ignored; the request goes to the provider
+  async getCacheKey(providerName, model, prompt, options) {
+    try {
+      return await this.responseCache.createKey(providerName, model, prompt, options);
+    } catch (error) {
+      console.warn('Response cache key failed:', error);
+      return null;
+    }
+  }
+
+  async readCache(key) {
+    try {
+      return await this.responseCache.get(key);
+    } catch (error) {
+      console.warn('Response cache read failed:', error);
+      return null;
+    }
+  }
+
+  async writeCache(key, result, meta) {
+    try {
+      await this.responseCache.set(key, result, meta);
+    } catch (error) {
+      console.warn('Response cache write failed:', error);
+    }
+  }
+
+  async withRetries(providerName, options, operation) {
+    const policy = { ...this.retryPolicy, ...options.retry };
+    const breaker = this.getCircuitBreaker(providerName);
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const result = await raceWithSignal(operation(), options.signal);
+          breaker.recordSuccess();
+          return result;
+        } catch (error) {
+          // A cancellation is not a provider failure: no retry, no error count
+          if (options.signal?.aborted) {
+            throw createAbortError(options.signal);
+          }
+
+          const kind = classifyProviderError(error);
+          error.kind = kind;
+          this.trackError(providerName, { ...options, apiKeyLabel: error.apiKeyLabel });
+
+          // After a 429 or used-up quota on one key another key of the pool can go right away
+          const keyPool = this.getProvider(providerName).keyPool;
+          const rotateKey = (kind === 'rate-limit' || kind === 'quota') && Boolean(error.apiKeyLabel) && keyPool.size > 1 && keyPool.hasAvailable() &&
+            attempt < Math.max(policy.maxRetries, keyPool.size - 1);
+
+          // A malformed, filtered or oversized request says nothing about the provider's health,
+          // and neither does running out of keys before sending anything
+          if (!REQUEST_ERROR_KINDS.includes(kind) && !rotateKey && !error.keyPoolExhausted) {
+            breaker.recordFailure();
+          }
+
+          const delay = rotateKey ? 0 : this.getRetryDelay(error, attempt, policy);
+          if (delay === null || breaker.state === 'open') {
+            throw error;
+          }
+
+          console.warn(`${providerName} ${kind} error, retrying in ${delay}ms (attempt ${attempt + 1}/${policy.maxRetries})`);
+          await sleep(delay, options.signal);
+        }
+      }
+    } finally {
+      // Exits that recorded nothing must not leave a half-open probe claimed
+      breaker.release();
+    }
+  }
+
+  getRetryDelay(error, attempt, policy) {
+    if (attempt >= policy.maxRetries || !RETRYABLE_ERROR_KINDS.includes(error.kind)) {
+      return null;
+    }
+
+    if (error.retryAfterMs !== null && error.retryAfterMs !== undefined) {
+      // Waiting longer than this is worse than moving on to a fallback provider
+      return error.retryAfterMs > policy.maxRetryAfterMs ? null : Math.ceil(error.retryAfterMs);
+    }
+
+    const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  }
+
+  getCircuitBreaker(providerName) {
+    if (!this.circuitBreakers[providerName]) {
+      this.circuitBreakers[providerName] = new CircuitBreaker(this.circuitBreakerOptions);
+    }
+    return this.circuitBreakers[providerName];
+  }
+
+  async completeWithProvider(providerName, prompt, options = {}) {
+    const { provider, keyEntry } = this.leaseProvider(providerName);
+    const details = { provider: providerName, model: options.model || provider.model, prompt, options, secrets: this.getSecrets(providerName) };
+
+    try {
+      // Hooks may have swapped the prompt or options
+      return await this.hooks.run(details, async (callPrompt, callOptions) => {
+        let result;
+        if (callOptions.tools) {
+          result = await completeWithTools(provider, callPrompt, callOptions);
+        } else if (typeof provider.complete === 'function') {
+          result = await provider.complete(callPrompt, callOptions);
+        } else {
+          const text = await provider.generate(callPrompt, callOptions);
+          result = { text, model: callOptions.model || provider.model, finishReason: null, usage: null };
+        }
+        return keyEntry ? { ...result, apiKeyLabel: keyEntry.label } : result;
+      });
+    } catch (error) {
+      const providerError = wrapProviderError(error, providerName, { provider: providerName, model: options.model || provider.model });
+      throw this.releaseApiKey(providerName, keyEntry, providerError);
+    }
+  }
+
+  // Every key the provider could send, for redaction in traces
+  getSecrets(providerName) {
+    const provider = this.getProvider(providerName);
+    return [provider.apiKey, ...(provider.keyPool?.entries || []).map((entry) => entry.key)];
+  }
+
+  // The provider to send one request with; key-pooled providers are bound to the key picked for it
+  leaseProvider(providerName) {
+    const provider = this.getProvider(providerName);
+    if (!provider.keyPool || provider.keyPool.size === 0) {
+      return { provider, keyEntry: null };
+    }
+
+    let keyEntry;
+    try {
+      keyEntry = provider.keyPool.select();
+    } catch (error) {
+      error.provider = providerName;
+      throw error;
+    }
+    return { provider: bindApiKey(provider, keyEntry.key), keyEntry };
+  }
+
+  // Tags the error with the key's label and parks the key after a rate limit or quota error
+  releaseApiKey(providerName, keyEntry, error) {
+    if (keyEntry && !(error instanceof AbortError)) {
+      error.apiKeyLabel = keyEntry.label;
+      if (error instanceof RateLimitError || error instanceof QuotaExceededError) {
+        this.getProvider(providerName).keyPool.park(keyEntry.label, error.retryAfterMs);
+      }
+    }
+    return error;
+  }
+
+  async *generateStream(prompt, options = {}) {
+    const startTime = Date.now();
+    const candidates = this.applyBudget(this.getCandidateProviders(options), prompt, options);
+    let lastError = null;
+    const openCircuits = [];
+
+    for (const providerName of candidates) {
+      throwIfAborted(options.signal);
+
+      const contextError = this.checkContextLength(providerName, options.model || this.getProvider(providerName).model, prompt, options);
+      if (contextError) {
+        lastError = contextError;
+        continue;
+      }
+
+      const breaker = this.getCircuitBreaker(providerName);
+      if (!breaker.tryAcquire()) {
+        console.warn(`Skipping ${providerName}: circuit breaker is open`);
+        openCircuits.push(providerName);
+        continue;
+      }
+
+      let iterator;
+      let first;
+
+      try {
+        if (providerName !== candidates[0]) {
+          console.log(`Trying fallback provider: ${providerName}`);
+        }
+
+        // Retries cover everything up to the first chunk
+        ({ iterator, first } = await this.withRetries(providerName, options, async () => {
+          const streamIterator = this.streamFromProvider(providerName, prompt, options)[Symbol.asyncIterator]();
+          return { iterator: streamIterator, first: await streamIterator.next() };
+        }));
+      } catch (error) {
+        if (error instanceof AbortError) {
+          throw error;
+        }
+        console.error(`Provider ${providerName} failed:`, error);
+        lastError = error;
+        continue;
+      }
+
+      let text = '';
+      let usage = null;
+      let apiKeyLabel;
+      let finished = false;
+
+      try {
+        for (let step = first; !step.done; step = await raceWithSignal(iterator.next(), options.signal)) {
+          text += step.value.text;
+          usage = step.value.usage || usage;
+          apiKeyLabel = step.value.apiKeyLabel || apiKeyLabel;
+          yield step.value;
+        }
+        finished = true;
+      } catch (error) {
+        if (options.signal?.aborted) {
+          throw createAbortError(options.signal);
+        }
+
+        // Once text has reached the caller we can't silently switch providers
+        error.kind = classifyProviderError(error);
+        this.trackError(providerName, { ...options, apiKeyLabel: error.apiKeyLabel });
+        if (!REQUEST_ERROR_KINDS.includes(error.kind)) {
+          breaker.recordFailure();
+        }
+        throw error;
+      } finally {
+        // Release the underlying response if the caller stopped reading early.
+        // After an abort the provider may still be blocked, so don't wait on it.
+        if (!finished && typeof iterator.return === 'function') {
+          const closing = iterator.return().catch(() => {});
+          if (!options.signal?.aborted) {
+            await closing;
+          }
+        }
+      }
+
+      this.trackUsage(providerName, Date.now() - startTime, this.resolveUsage(prompt, text, usage), {
+        ...options,
+        model: options.model || this.getProvider(providerName).model,
+        apiKeyLabel
+      });
+      return;
+    }
+
+    throw this.createAllFailedError(lastError, openCircuits);
+  }
+
+  // Chunks from a key-pooled provider carry the apiKeyLabel of the key that served them
+  async *streamFromProvider(providerName, prompt, options = {}) {
+    if (typeof this.getProvider(providerName).generateStream !== 'function') {
+      // Providers without native streaming deliver the whole response as one chunk
+      const result = await this.completeWithProvider(providerName, prompt, options);
+      const chunk = createStreamChunk({ text: result.text, finishReason: result.finishReason || 'stop', usage: result.usage });
+      yield result.apiKeyLabel ? { ...chunk, apiKeyLabel: result.apiKeyLabel } : chunk;
+      return;
+    }
+
+    const { provider, keyEntry } = this.leaseProvider(providerName);
+    const details = { provider: providerName, model: options.model || provider.model, prompt, options, secrets: this.getSecrets(providerName) };
+    try {
+      const stream = this.hooks.runStream(details, (callPrompt, callOptions) => provider.generateStream(callPrompt, callOptions));
+      for await (const chunk of stream) {
+        yield keyEntry ? { ...chunk, apiKeyLabel: keyEntry.label } : chunk;
+      }
+    } catch (error) {
+      const providerError = wrapProviderError(error, providerName, { provider: providerName, model: options.model || provider.model });
+      throw this.releaseApiKey(providerName, keyEntry, providerError);
+    }
+  }
+
+  // An explicit choice, e.g. from the settings: category routing won't override it
+  setProvider(name) {
+    this.currentProvider = name;
+    this.providerPinned = true;
+  }
+
+  selectProvider(options = {}) {
+    if (options.provider) {
+      return options.provider;
+    }
+
+    // Use cost optimization if enabled
+    if (options.costOptimized) {
+      return this.costOptimizer.getCheapestProvider();
+    }
+    
+    // Use performance optimization if specified
+    if (options.performanceOptimized) {
+      return this.costOptimizer.getFastestProvider();
+    }
+    
+    // Use quality optimization for complex tasks
+    if (options.qualityOptimized) {
+      return this.costOptimizer.getBestQualityProvider();
+    }
+
+    // Route a task category (planning, codegen, tests, docs) on observed performance,
+    // among the providers that can take the request
+    if (options.category && !this.providerPinned) {
+      const candidates = [this.currentProvider, ...this.fallbackChain]
+        .filter((name, index, names) => names.indexOf(name) === index && this.registry.has(name))
+        .filter((name) => (options.requires || []).every((capability) => this.registry.supports(name, capability)))
+        .filter((name) => hasApiKey(this.getProvider(name)));
+      return this.costOptimizer.selectForCategory(options.category, candidates) || this.currentProvider;
+    }
+    
+    return this.currentProvider;
+  }
+
+  // Feeds a quality score back into routing, e.g. testSummary.passRate / 100
+  // for code the provider generated (result.provider of completeWithFallback)
+  recordQuality(provider, category, score) {
+    this.costOptimizer.recordQuality(provider, category, score);
+  }
+
+  getRoutingLog() {
+    return this.costOptimizer.getRoutingLog();
+  }
+
+  resolveUsage(prompt, text, usage) {
+    if (usage && usage.totalTokens > 0) {
+      return { ...usage, estimated: false };
+    }
+
+    // Vendor didn't report usage; fall back to a local estimate
+    const promptTokens = estimateTokenCount(conversationText(prompt));
+    const completionTokens = estimateTokenCount(text);
+    return {
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      estimated: true
+    };
+  }
+
+  getProviderStats(provider) {
+    if (!this.usageStats[provider]) {
+      this.usageStats[provider] = {
+        calls: 0,
+        totalDuration: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+        estimatedCalls: 0,
+        cost: 0,
+        errors: 0,
+        cacheHits: 0,
+        cacheMisses: 0,
+        cacheSavedTokens: 0,
+        cacheSavedCost: 0
+      };
+    }
+    return this.usageStats[provider];
+  }
+
+  // A cached response costs nothing; record what it would have cost instead
+  trackCacheHit(provider, usage, meta = {}) {
+    const stats = this.getProviderStats(provider);
+    const model = meta.model || this.providers[provider]?.model;
+
+    stats.cacheHits++;
+    stats.cacheSavedTokens += usage.totalTokens;
+    stats.cacheSavedCost += this.costOptimizer.calculateCost(provider, model, usage);
+  }
+
+  trackUsage(provider, duration, usage, meta = {}) {
+    const stats = this.getProviderStats(provider);
+    const model = meta.model || this.providers[provider]?.model;
+    const cost = this.costOptimizer.calculateCost(provider, model, usage);
+    
+    stats.calls++;
+    stats.totalDuration += duration;
+    stats.promptTokens += usage.promptTokens;
+    stats.completionTokens += usage.completionTokens;
+    stats.totalTokens += usage.totalTokens;
+    stats.cost += cost;
+    if (usage.estimated) {
+      stats.estimatedCalls++;
+    }
+
+    this.costOptimizer.recordOutcome(provider, meta.category, { duration, usage, cost });
+    this.recordTemplateOutcome(meta.templates, { duration, usage, cost });
+    if (meta.apiKeyLabel) {
+      this.providers[provider]?.keyPool?.recordUsage(meta.apiKeyLabel, usage, cost);
+    }
+
+    this.ledger.record({
+      provider,
+      model,
+      projectId: meta.projectId,
+      usage,
+      cost,
+      duration
+    });
+    this.budgetManager?.record({ projectId: meta.projectId, agent: meta.agent, usage, cost });
+  }
+
+  trackError(provider, meta = {}) {
+    this.getProviderStats(provider).errors++;
+    this.costOptimizer.recordOutcome(provider, meta.category, { error: true });
+    this.recordTemplateOutcome(meta.templates, { error: true });
+    if (meta.apiKeyLabel) {
+      this.providers[provider]?.keyPool?.recordError(meta.apiKeyLabel);
+    }
+    this.ledger.record({
+      provider,
+      model: meta.model || this.providers[provider]?.model,
+      projectId: meta.projectId,
+      error: true
+    });
+  }
+
+  loadTemplateStats() {
+    const stored = localStorage.getItem('promptTemplateStats');
+    if (!stored) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      console.warn('Corrupted prompt template stats detected. Starting fresh.', error);
+      localStorage.removeItem('promptTemplateStats');
+      return {};
+    }
+  }
+
+  // Aggregated per template id@version so prompt revisions can be compared
+  recordTemplateOutcome(templates, { duration = 0, usage = null, cost = 0, error = false }) {
+    if (!templates || templates.length === 0) {
+      return;
+    }
+
+    for (const { id, version } of templates) {
+      const key = `${id}@${version}`;
+      if (!this.templateStats[key]) {
+        this.templateStats[key] = { id, version, calls: 0, errors: 0, totalTokens: 0, cost: 0, totalDuration: 0 };
+      }
+
+      const stats = this.templateStats[key];
+      if (error) {
+        stats.errors++;
+        continue;
+      }
+      stats.calls++;
+      stats.totalTokens += usage.totalTokens;
+      stats.cost += cost;
+      stats.totalDuration += duration;
+    }
+
+    try {
+      localStorage.setItem('promptTemplateStats', JSON.stringify(this.templateStats));
+    } catch (storageError) {
+      console.warn('Failed to persist prompt template stats:', storageError);
+    }
+  }
+
+  getTemplateStats() {
+    return Object.values(this.templateStats).map((stats) => ({
+      ...stats,
+      avgTokens: stats.calls ? Math.round(stats.totalTokens / stats.calls) : 0,
+      avgDuration: stats.calls ? Math.round(stats.totalDuration / stats.calls) : 0
+    }));
+  }
+
+  getUsageStats() {
+    const stats = {};
+    for (const [provider, providerStats] of Object.entries(this.usageStats)) {
+      stats[provider] = { ...providerStats };
+    }
+    for (const [provider, breaker] of Object.entries(this.circuitBreakers)) {
+      stats[provider] = { ...this.getProviderStats(provider), ...stats[provider], circuitBreaker: breaker.getState() };
+    }
+    // Per-key usage of providers initialized with a key pool (labels and fingerprints only)
+    for (const [provider, instance] of Object.entries(this.providers)) {
+      if (instance.keyPool && instance.keyPool.size > 0) {
+        stats[provider] = { ...this.getProviderStats(provider), ...stats[provider], keys: instance.keyPool.getStats() };
+      }
+    }
+    return stats;
+  }
+
+  exportUsageCsv(filter = {}) {
+    return this.ledger.exportCsv(filter);
+  }
+
+  // options.templates tags the result with templates that produced `prompt`.
+  // With options.ensemble this returns generateCodeEnsemble()'s result instead of a string.
+  async generateCode(prompt, context = {}, options = {}) {
+    if (options.ensemble) {
+      return await this.generateCodeEnsemble(prompt, context, options);
+    }
+
+    const result = await this.generateFromTemplate('code.generate', {
+      task: prompt,
+      projectType: context.projectType,
+      techStack: context.techStack,
+      requirements: context.requirements
+    }, { category: 'codegen', ...options });
+    return result.text;
+  }
+
+  /**
+   * Consensus mode: generates the code with several providers or samples in
+   * parallel, scores every candidate and returns the winner with the scoreboard.
+   *
+   * options.ensemble (or `true` for defaults):
+   *   candidates  provider names or { provider, model }; default: the current
+   *               provider and fallback chain (by static quality with qualityOptimized)
+   *   size        number of default candidates (3)
+   *   samples     N samples of the first candidate instead, at temperature 0.8
+   *   judge       { provider, model }, or false to skip judging; default: the
+   *               best-quality provider
+   *   checks      objective checks to run: 'parse', 'lint', 'tests'
+   *   runTests    async (code, candidate) => { passed, failed }, required by 'tests'
+   *   weights     weight per score, see DEFAULT_ENSEMBLE_WEIGHTS
+   *
+   * Scores are 0..1 and averaged by weight over the scores a candidate has,
+   * so a skipped check (e.g. no parser for the language) doesn't count against it.
+   */
+  async generateCodeEnsemble(prompt, context = {}, options = {}) {
+    const { ensemble: ensembleOption, ...generateOptions } = options;
+    const ensemble = ensembleOption === true ? {} : ensembleOption;
+    const candidates = this.resolveEnsembleCandidates(ensemble, options);
+    if (candidates.length === 0) {
+      throw new Error('Ensemble generation needs at least one available provider');
+    }
+
+    const weights = { ...DEFAULT_ENSEMBLE_WEIGHTS, ...ensemble.weights };
+    const checks = ensemble.checks || ['parse', 'lint', ...(ensemble.runTests ? ['tests'] : [])];
+    console.log(`🗳️ Ensemble generation with ${candidates.length} candidates:`, candidates.map((candidate) => candidate.label).join(', '));
+
+    const scoreboard = await Promise.all(candidates.map(async (candidate, index) => {
+      const entry = { candidate: index + 1, provider: candidate.provider, model: candidate.model || null, label: candidate.label, scores: {}, checks: {} };
+      const start = Date.now();
+
+      try {
+        const result = await this.generateFromTemplate('code.generate', {
+          task: prompt,
+          projectType: context.projectType,
+          techStack: context.techStack,
+          requirements: context.requirements
+        }, { category: 'codegen', ...generateOptions, provider: candidate.provider, model: candidate.model, temperature: candidate.temperature ?? generateOptions.temperature });
+
+        entry.text = result.text;
+        entry.model = result.model || entry.model;
+        entry.usage = result.usage;
+        entry.template = result.template;
+      } catch (error) {
+        if (error instanceof AbortError) {
+          throw error;
+        }
+        entry.error = error.cause?.message || error.message;
+      }
+
+      entry.duration = Date.now() - start;
+      if (!entry.error) {
+        await this.runEnsembleChecks(entry, checks, ensemble);
+      }
+      return entry;
+    }));
+
+    const finished = scoreboard.filter((entry) => !entry.error);
+    if (finished.length === 0) {
+      const error = new Error('All ensemble candidates failed');
+      error.scoreboard = scoreboard;
+      throw error;
+    }
+
+    const judge = ensemble.judge === false ? null : this.resolveEnsembleJudge(ensemble.judge, finished);
+    if (judge && finished.length > 1) {
+      await this.judgeEnsemble(prompt, finished, judge, generateOptions);
+    }
+
+    for (const entry of scoreboard) {
+      entry.total = entry.error ? 0 : this.combineEnsembleScores(entry.scores, weights);
+    }
+    scoreboard.sort((a, b) => b.total - a.total || a.candidate - b.candidate);
+
+    for (const entry of finished) {
+      this.recordQuality(entry.provider, 'codegen', entry.total);
+    }
+
+    const winner = scoreboard[0];
+    console.log(`🏆 Ensemble winner: candidate ${winner.candidate} (${winner.label}) with ${winner.total.toFixed(2)}`);
+    return {
+      text: winner.text,
+      provider: winner.provider,
+      model: winner.model,
+      winner,
+      scoreboard,
+      judge
+    };
+  }
+
+  resolveEnsembleCandidates(ensemble, options) {
+    const toCandidate = (spec) => {
+      const candidate = typeof spec === 'string' ? { provider: spec } : { ...spec };
+      candidate.label = candidate.model ? `${candidate.provider}/${candidate.model}` : candidate.provider;
+      return candidate;
+    };
+
+    let specs = ensemble.candidates;
+    if (!specs) {
+      const chain = [this.currentProvider, ...this.fallbackChain]
+        .filter((name, index, names) => names.indexOf(name) === index && this.registry.has(name))
+        .filter((name) => (options.requires || []).every((capability) => this.registry.supports(name, capability)));
+      if (options.qualityOptimized) {
+        const quality = (name) => this.costOptimizer.providerCosts[name]?.quality || 0;
+        chain.sort((a, b) => quality(b) - quality(a));
+      }
+      specs = chain.slice(0, ensemble.samples > 1 ? 1 : ensemble.size || 3);
+    }
+
+    const candidates = specs.map(toCandidate).filter((candidate) => this.registry.has(candidate.provider));
+    if (ensemble.samples > 1 && candidates.length > 0) {
+      // Sampling is what makes the N answers differ
+      const temperature = options.temperature > 0 ? options.temperature : 0.8;
+      return Array.from({ length: ensemble.samples }, (_, index) => ({
+        ...candidates[0],
+        temperature,
+        label: `${candidates[0].label}#${index + 1}`
+      }));
+    }
+    return candidates;
+  }
+
+  resolveEnsembleJudge(judge, finished) {
+    if (judge && judge.provider) {
+      return { provider: judge.provider, model: judge.model || null };
+    }
+
+    const best = this.costOptimizer.getBestQualityProvider();
+    if (this.registry.has(best) && (this.fallbackChain.includes(best) || best === this.currentProvider)) {
+      return { provider: best, model: null };
+    }
+    return { provider: finished[0].provider, model: finished[0].model };
+  }
+
+  async runEnsembleChecks(entry, checks, ensemble) {
+    const { code, language } = extractCodeFromResponse(entry.text);
+
+    if (checks.includes('parse')) {
+      entry.checks.parse = checkCodeParses(code, language);
+    }
+    if (checks.includes('lint')) {
+      entry.checks.lint = lintCode(code, ensemble.lintRules);
+    }
+    if (checks.includes('tests') && ensemble.runTests) {
+      try {
+        const { passed = 0, failed = 0 } = await ensemble.runTests(code, entry);
+        const total = passed + failed;
+        entry.checks.tests = { passed: failed === 0 && total > 0, score: total > 0 ? passed / total : null, details: `${passed}/${total} tests passed` };
+      } catch (error) {
+        entry.checks.tests = { passed: false, score: 0, details: `Test run failed: ${error.message}` };
+      }
+    }
+
+    for (const [name, check] of Object.entries(entry.checks)) {
+      if (check.score !== null) {
+        entry.scores[name] = check.score;
+      }
+    }
+  }
+
+  // Adds scores.judge (0..1) and judgeReason to the entries; a failed judge is logged and skipped
+  async judgeEnsemble(prompt, entries, judge, options) {
+    const candidates = entries.map((entry) => {
+      const { code } = extractCodeFromResponse(entry.text);
+      return `Candidate ${entry.candidate}:\n\`\`\`\n${escapePromptValue(code, 'code')}\n\`\`\``;
+    }).join('\n\n');
+    const { text, template } = this.promptLibrary.render('ensemble.judge', { task: prompt, candidates });
+
+    try {
+      const verdict = await this.generateStructured(text, ENSEMBLE_JUDGE_SCHEMA, {
+        provider: judge.provider,
+        model: judge.model || undefined,
+        temperature: 0,
+        category: 'codegen',
+        signal: options.signal,
+        templates: [template]
+      });
+
+      for (const { candidate, score, reason } of verdict.scores) {
+        const entry = entries.find((item) => item.candidate === candidate);
+        if (entry) {
+          entry.scores.judge = score / 10;
+          entry.judgeReason = reason || '';
+        }
+      }
+    } catch (error) {
+      if (error instanceof AbortError) {
+        throw error;
+      }
+      console.warn(`Ensemble judge ${judge.provider} failed:`, error.message);
+    }
+  }
+
+  combineEnsembleScores(scores, weights) {
+    let weighted = 0;
+    let totalWeight = 0;
+    for (const [name, score] of Object.entries(scores)) {
+      const weight = weights[name] ?? 0;
+      weighted += score * weight;
+      totalWeight += weight;
+    }
+    return totalWeight > 0 ? weighted / totalWeight : 0;
+  }
+
+  async generateTests(code, requirements, options = {}) {
+    const result = await this.generateFromTemplate('tests.generate', { code, requirements }, { category: 'tests', ...options });
+    return result.text;
+  }
+
+  async generateDocumentation(code, context, options = {}) {
+    const result = await this.generateFromTemplate('docs.generate', { code, context }, { category: 'docs', ...options });
+    return result.text;
+  }
+}
+
+/**
+ * Google Gemini Provider
+ */
+class GeminiProvider {
+  constructor() {
+    this.name = 'gemini';
+    this.baseUrl = 'https://generativelanguage.googleapis.com/v1beta/models';
+    this.apiKey = null;
+    this.model = 'gemini-1.5-flash';
+    this.embeddingModel = 'text-embedding-004';
+  }
+
+  async initialize(apiKey, options = {}) {
+    initializeApiKeys(this, apiKey, options);
+  }
+
+  async listModels(options = {}) {
+    if (!this.apiKey) {
+      throw new AuthError('Gemini API key not provided', { provider: this.name });
+    }
+
+    const data = await fetchModelList(`${this.baseUrl}?key=${this.apiKey}&pageSize=1000`, {}, 'Gemini', options);
+    return (data.models || [])
+      .filter((model) => (model.supportedGenerationMethods || []).includes('generateContent'))
+      .map((model) => ({
+        id: model.name.replace(/^models\//, ''),
+        label: model.displayName || model.name,
+        contextLength: model.inputTokenLimit
+      }));
+  }
+
+  async healthCheck(options = {}) {
+    return await runHealthCheck(this, options);
+  }
+
+  buildRequestBody(prompt, options = {}) {
+    const { system, messages } = normalizeConversation(prompt, options);
+    const requestBody = {
+      contents: this.buildContents(messages),
+      generationConfig: {
+        temperature: options.temperature ?? 0.7,
+        topK: options.topK || 40,
+        topP: options.topP || 0.95,
+        maxOutputTokens: options.maxTokens || DEFAULT_MAX_TOKENS
+      }
+    };
+
+    if (system) {
+      requestBody.systemInstruction = { parts: [{ text: system }] };
+    }
+
+    if (options.responseFormat === 'json') {
+      requestBody.generationConfig.responseMimeType = 'application/json';
+    }
+
+    if (options.tools) {
+      requestBody.tools = [{
+        functionDeclarations: options.tools.map((tool) => ({
+          name: tool.name,
+          description: tool.description,
+          parameters: toGeminiSchema(tool.parameters)
+        }))
+      }];
+    }
+
+    return requestBody;
+  }
+
+  buildContents(messages) {
+    const contents = [];
+
+    for (const message of messages) {
+      let role;
+      let parts;
+
+      if (message.role === 'tool') {
+        role = 'user';
+        parts = [{ functionResponse: { name: message.name, response: { content: message.content } } }];
+      } else {
+        role = message.role === 'assistant' ? 'model' : 'user';
+        parts = message.content || !(message.toolCalls || message.images) ? [{ text: message.content }] : [];
+        for (const image of message.images || []) {
+          const { mimeType, data } = requireImageData(image, 'Gemini');
+          parts.push({ inlineData: { mimeType, data } });
+        }
+        for (const call of message.toolCalls || []) {
+          parts.push({ functionCall: { name: call.name, args: call.arguments || {} } });
+        }
+      }
+
+      // Several tool results in a row belong to one user turn
+      const previous = contents[contents.length - 1];
+      if (previous && previous.role === role) {
+        previous.parts.push(...parts);
+      } else {
+        contents.push({ role, parts });
+      }
+    }
+
+    return contents;
+  }
+
+  async generate(prompt, options = {}) {
+    const result = await this.complete(prompt, options);
+    return result.text;
+  }
+
+  async complete(prompt, options = {}) {
+    if (!this.apiKey) {
+      throw new AuthError('Gemini API key not provided', { provider: this.name });
+    }
+
+    const model = options.model || this.model;
+    const url = `${this.baseUrl}/${model}:generateContent?key=${this.apiKey}`;
+    const requestBody = this.buildRequestBody(prompt, options);
+
+    const request = createRequestSignal(options.signal, options.timeoutMs);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(requestBody),
+        signal: request.signal
+      });
+
+      if (!response.ok) {
+        throw await readApiError(response, 'Gemini');
+      }
+
+      const rawBody = await response.text();
+      const data = parseJsonLoose(rawBody);
+
+      // Blocked prompts and answers come back as a 200 without content
+      const blockReason = data.promptFeedback?.blockReason ||
+        (['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST'].includes(data.candidates?.[0]?.finishReason) ? data.candidates[0].finishReason : null);
+      if (blockReason) {
+        throw new ContentFilterError(`Gemini blocked the request: ${blockReason}`, { body: rawBody });
+      }
+      
+      if (data.candidates && data.candidates[0] && data.candidates[0].content) {
+        const metadata = data.usageMetadata;
+        const parts = data.candidates[0].content.parts || [];
+        return {
+          text: parts.map((part) => part.text || '').join(''),
+          toolCalls: parts
+            .filter((part) => part.functionCall)
+            .map((part) => ({ id: createToolCallId(), name: part.functionCall.name, arguments: part.functionCall.args || {} })),
+          model,
+          finishReason: data.candidates[0].finishReason || null,
+          usage: metadata ? {
+            promptTokens: metadata.promptTokenCount || 0,
+            completionTokens: metadata.candidatesTokenCount || 0,
+            totalTokens: metadata.totalTokenCount || 0
+          } : null
+        };
+      } else {
+        throw new InvalidResponseError('Invalid response format from Gemini API', { body: rawBody });
+      }
+    } catch (error) {
+      throw wrapProviderError(error, 'Gemini', { provider: this.name, model });
+    } finally {
+      request.dispose();
+    }
+  }
+
+  async *generateStream(prompt, options = {}) {
+    if (!this.apiKey) {
+      throw new AuthError('Gemini API key not provided', { provider: this.name });
+    }
+
+    const url = `${this.baseUrl}/${options.model || this.model}:streamGenerateContent?alt=sse&key=${this.apiKey}`;
+
+    const request = createRequestSignal(options.signal, options.timeoutMs);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(this.buildRequestBody(prompt, options)),
+        signal: request.signal
+      });
+
+      if (!response.ok) {
+        throw await readApiError(response, 'Gemini');
+      }
+
+      for await (const { data } of readServerSentEvents(response)) {
+        const payload = parseJsonLoose(data);
+        const candidate = payload.candidates?.[0];
+        const text = (candidate?.content?.parts || []).map((part) => part.text || '').join('');
+        const metadata = payload.usageMetadata;
+
+        yield createStreamChunk({
+          text,
+          finishReason: candidate?.finishReason || null,
+          usage: metadata ? {
+            promptTokens: metadata.promptTokenCount || 0,
+            completionTokens: metadata.candidatesTokenCount || 0,
+            totalTokens: metadata.totalTokenCount || 0
+          } : null
+        });
+      }
+    } finally {
+      request.dispose();
+    }
+  }
+
+  async embed(texts, options = {}) {
+    if (!this.apiKey) {
+      throw new AuthError('Gemini API key not provided', { provider: this.name });
+    }
+
+    const model = options.embeddingModel || this.embeddingModel;
+    const url = `${this.baseUrl}/${model}:batchEmbedContents?key=${this.apiKey}`;
+    const request = createRequestSignal(options.signal, options.timeoutMs);
+
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({
+          requests: texts.map((text) => ({ model: `models/${model}`, content: { parts: [{ text }] } }))
+        }),
+        signal: request.signal
+      });
+
+      if (!response.ok) {
+        throw await readApiError(response, 'Gemini');
+      }
+
+      const data = parseJsonLoose(await response.text());
+      if (!Array.isArray(data.embeddings)) {
+        throw new InvalidResponseError('Invalid embeddings response from Gemini API', { body: JSON.stringify(data) });
+      }
+      return { vectors: data.embeddings.map((embedding) => embedding.values), model };
+    } catch (error) {
+      throw wrapProviderError(error, 'Gemini', { provider: this.name, model });
+    } finally {
+      request.dispose();
     }
   }
 }
@@ -376,392 +3084,3964 @@ class GeminiProvider {
 /**
  * OpenAI Provider
  */
-class OpenAIProvider {
+class OpenAIProvider {
+  constructor() {
+    this.name = 'openai';
+    this.baseUrl = 'https://api.openai.com/v1/chat/completions';
+    this.embeddingsUrl = 'https://api.openai.com/v1/embeddings';
+    this.modelsUrl = 'https://api.openai.com/v1/models';
+    this.apiKey = null;
+    this.model = 'gpt-4';
+    this.embeddingModel = 'text-embedding-3-small';
+    this.label = 'OpenAI';
+    this.requiresApiKey = true;
+  }
+
+  getHeaders() {
+    return {
+      'Content-Type': 'application/json',
+      'Authorization': `Bearer ${this.apiKey}`
+    };
+  }
+
+  async initialize(apiKey, options = {}) {
+    initializeApiKeys(this, apiKey, options);
+  }
+
+  // /v1/models also lists embedding, audio and image models
+  isChatModel(id) {
+    return /^(gpt-|o\d|chatgpt-)/.test(id);
+  }
+
+  async listModels(options = {}) {
+    if (this.requiresApiKey && !this.apiKey) {
+      throw new AuthError(`${this.label} API key not provided`, { provider: this.name });
+    }
+
+    const data = await fetchModelList(this.modelsUrl, this.getHeaders(), this.label, options);
+    return (data.data || [])
+      .filter((model) => this.isChatModel(model.id))
+      .map((model) => ({ id: model.id, label: model.id }));
+  }
+
+  async healthCheck(options = {}) {
+    return await runHealthCheck(this, options);
+  }
+
+  buildRequestBody(prompt, options = {}) {
+    const { system, messages } = normalizeConversation(prompt, options);
+    return {
+      model: options.model || this.model,
+      messages: [
+        {
+          role: 'system',
+          content: system || DEFAULT_SYSTEM_PROMPT
+        },
+        ...toOpenAIMessages(messages)
+      ],
+      temperature: options.temperature ?? 0.7,
+      max_tokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+      top_p: options.topP || 1,
+      frequency_penalty: options.frequencyPenalty || 0,
+      presence_penalty: options.presencePenalty || 0,
+      ...(options.tools ? { tools: toOpenAITools(options.tools) } : {}),
+      ...(options.responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {})
+    };
+  }
+
+  async generate(prompt, options = {}) {
+    const result = await this.complete(prompt, options);
+    return result.text;
+  }
+
+  async complete(prompt, options = {}) {
+    if (this.requiresApiKey && !this.apiKey) {
+      throw new AuthError(`${this.label} API key not provided`, { provider: this.name });
+    }
+
+    const requestBody = this.buildRequestBody(prompt, options);
+
+    const request = createRequestSignal(options.signal, options.timeoutMs);
+
+    try {
+      const response = await fetch(this.baseUrl, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify(requestBody),
+        signal: request.signal
+      });
+
+      if (!response.ok) {
+        throw await readApiError(response, this.label);
+      }
+
+      const rawBody = await response.text();
+      const data = parseJsonLoose(rawBody);
+      
+      if (data.choices && data.choices[0] && data.choices[0].message) {
+        return {
+          text: data.choices[0].message.content || '',
+          toolCalls: parseOpenAIToolCalls(data.choices[0].message.tool_calls),
+          model: data.model || requestBody.model,
+          finishReason: data.choices[0].finish_reason || null,
+          usage: data.usage ? {
+            promptTokens: data.usage.prompt_tokens || 0,
+            completionTokens: data.usage.completion_tokens || 0,
+            totalTokens: data.usage.total_tokens || 0
+          } : null
+        };
+      } else {
+        throw new InvalidResponseError(`Invalid response format from ${this.label} API`, { body: JSON.stringify(data) });
+      }
+    } catch (error) {
+      throw wrapProviderError(error, this.label, { provider: this.name, model: options.model || this.model });
+    } finally {
+      request.dispose();
+    }
+  }
+
+  async *generateStream(prompt, options = {}) {
+    if (this.requiresApiKey && !this.apiKey) {
+      throw new AuthError(`${this.label} API key not provided`, { provider: this.name });
+    }
+
+    const request = createRequestSignal(options.signal, options.timeoutMs);
+
+    try {
+      const requestBody = {
+        ...this.buildRequestBody(prompt, options),
+        stream: true,
+        stream_options: { include_usage: true }
+      };
+
+      const response = await fetch(this.baseUrl, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify(requestBody),
+        signal: request.signal
+      });
+
+      if (!response.ok) {
+        throw await readApiError(response, this.label);
+      }
+
+      yield* readChatCompletionStream(response);
+    } finally {
+      request.dispose();
+    }
+  }
+
+  async embed(texts, options = {}) {
+    if (this.requiresApiKey && !this.apiKey) {
+      throw new AuthError(`${this.label} API key not provided`, { provider: this.name });
+    }
+
+    const model = options.embeddingModel || this.embeddingModel;
+    const request = createRequestSignal(options.signal, options.timeoutMs);
+
+    try {
+      const response = await fetch(this.embeddingsUrl, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify({ model, input: texts }),
+        signal: request.signal
+      });
+
+      if (!response.ok) {
+        throw await readApiError(response, this.label);
+      }
+
+      const data = parseJsonLoose(await response.text());
+      if (!Array.isArray(data.data)) {
+        throw new InvalidResponseError(`Invalid embeddings response from ${this.label} API`, { body: JSON.stringify(data) });
+      }
+      return {
+        vectors: data.data.sort((a, b) => a.index - b.index).map((item) => item.embedding),
+        model: data.model || model,
+        usage: data.usage ? {
+          promptTokens: data.usage.prompt_tokens || 0,
+          completionTokens: 0,
+          totalTokens: data.usage.total_tokens || 0
+        } : null
+      };
+    } catch (error) {
+      throw wrapProviderError(error, this.label, { provider: this.name, model });
+    } finally {
+      request.dispose();
+    }
+  }
+}
+
+/**
+ * OpenAI-compatible Provider
+ * Any server speaking the chat-completions protocol (LM Studio, vLLM,
+ * llama.cpp server, OpenRouter, Together, Azure-style gateways, ...).
+ * Registered under a user-chosen name with its own base URL, headers,
+ * model list and pricing.
+ */
+const BUILT_IN_PROVIDER_NAMES = ['gemini', 'openai', 'claude', 'groq', 'huggingface', 'ollama'];
+const OPENAI_COMPATIBLE_STORAGE_KEY = 'openAICompatibleProviders';
+
+// Appends an API path to a base URL, keeping query strings such as ?api-version=
+function joinApiUrl(baseUrl, path) {
+  const url = new URL(baseUrl);
+  const basePath = url.pathname.replace(/\/+$/, '');
+  url.pathname = basePath.endsWith(path) ? basePath : basePath + path;
+  return url.toString();
+}
+
+class OpenAICompatibleProvider extends OpenAIProvider {
+  constructor(config = {}) {
+    super();
+    this.name = config.name;
+    this.label = config.label || config.name;
+    this.apiBaseUrl = config.baseUrl;
+    this.baseUrl = joinApiUrl(config.baseUrl, '/chat/completions');
+    this.embeddingsUrl = joinApiUrl(config.baseUrl, '/embeddings');
+    this.modelsUrl = joinApiUrl(config.baseUrl, '/models');
+    this.headers = config.headers || {};
+    // Azure-style gateways expect the raw key in an "api-key" header
+    this.apiKeyHeader = config.apiKeyHeader || 'Authorization';
+    this.models = config.models || [];
+    this.model = this.models[0] || '';
+    this.embeddingModel = config.embeddingModel || '';
+    this.pricing = config.pricing || {};
+    // Local servers usually run without a key
+    this.requiresApiKey = Boolean(config.requiresApiKey);
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json', ...this.headers };
+    if (this.apiKey) {
+      headers[this.apiKeyHeader] = this.apiKeyHeader.toLowerCase() === 'authorization'
+        ? `Bearer ${this.apiKey}`
+        : this.apiKey;
+    }
+    return headers;
+  }
+
+  getEndpoint(path) {
+    return joinApiUrl(this.apiBaseUrl, path);
+  }
+
+  isChatModel() {
+    return true;
+  }
+
+  // Some gateways don't implement /models; reaching the server is enough and
+  // the configured models stand in for the listing
+  async listModels(options = {}) {
+    try {
+      return await super.listModels(options);
+    } catch (error) {
+      if (error.status === 404 || error.status === 405) {
+        return this.models.map((model) => ({ id: model, label: model }));
+      }
+      throw error;
+    }
+  }
+}
+
+function validateOpenAICompatibleConfig(config) {
+  if (!config || !/^[a-z0-9][a-z0-9_-]{0,39}$/i.test(config.name || '')) {
+    throw new Error('Provider name must be 1-40 letters, digits, "-" or "_"');
+  }
+  if (BUILT_IN_PROVIDER_NAMES.includes(config.name.toLowerCase())) {
+    throw new Error(`"${config.name}" is a built-in provider name`);
+  }
+
+  let url;
+  try {
+    url = new URL(config.baseUrl);
+  } catch {
+    throw new Error(`Invalid base URL: ${config.baseUrl}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('Base URL must start with http:// or https://');
+  }
+}
+
+function loadOpenAICompatibleConfigs() {
+  const stored = localStorage.getItem(OPENAI_COMPATIBLE_STORAGE_KEY);
+  if (!stored) {
+    return [];
+  }
+
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    console.warn('Corrupted OpenAI-compatible provider list detected. Resetting.', error);
+    localStorage.removeItem(OPENAI_COMPATIBLE_STORAGE_KEY);
+    return [];
+  }
+}
+
+function getOpenAICompatibleConfig(name) {
+  return loadOpenAICompatibleConfigs().find((config) => config.name === name) || null;
+}
+
+function saveOpenAICompatibleConfig(config) {
+  validateOpenAICompatibleConfig(config);
+
+  const normalized = {
+    name: config.name,
+    label: config.label || config.name,
+    baseUrl: config.baseUrl.trim(),
+    headers: config.headers || {},
+    apiKeyHeader: config.apiKeyHeader || 'Authorization',
+    models: (config.models || []).filter(Boolean),
+    pricing: config.pricing || {},
+    requiresApiKey: Boolean(config.requiresApiKey),
+    supportsTools: config.supportsTools !== false,
+    // Read by registerOpenAICompatible; null falls back to its defaults
+    embeddingModel: String(config.embeddingModel || '').trim(),
+    contextLength: parseInt(config.contextLength, 10) || null,
+    speed: Number(config.speed) || null,
+    quality: Number(config.quality) || null
+  };
+
+  const configs = loadOpenAICompatibleConfigs().filter((existing) => existing.name !== normalized.name);
+  configs.push(normalized);
+  localStorage.setItem(OPENAI_COMPATIBLE_STORAGE_KEY, JSON.stringify(configs));
+  return normalized;
+}
+
+function removeOpenAICompatibleConfig(name) {
+  const configs = loadOpenAICompatibleConfigs().filter((config) => config.name !== name);
+  localStorage.setItem(OPENAI_COMPATIBLE_STORAGE_KEY, JSON.stringify(configs));
+}
+
+/**
+ * Anthropic Claude Provider
+ */
+class ClaudeProvider {
+  constructor() {
+    this.name = 'claude';
+    this.baseUrl = 'https://api.anthropic.com/v1/messages';
+    this.modelsUrl = 'https://api.anthropic.com/v1/models';
+    this.apiKey = null;
+    this.model = 'claude-3-sonnet-20240229';
+  }
+
+  async initialize(apiKey, options = {}) {
+    initializeApiKeys(this, apiKey, options);
+  }
+
+  async listModels(options = {}) {
+    if (!this.apiKey) {
+      throw new AuthError('Claude API key not provided', { provider: this.name });
+    }
+
+    const data = await fetchModelList(`${this.modelsUrl}?limit=1000`, {
+      'x-api-key': this.apiKey,
+      'anthropic-version': '2023-06-01'
+    }, 'Claude', options);
+    return (data.data || []).map((model) => ({ id: model.id, label: model.display_name || model.id }));
+  }
+
+  async healthCheck(options = {}) {
+    return await runHealthCheck(this, options);
+  }
+
+  buildRequestBody(prompt, options = {}) {
+    const { system, messages } = normalizeConversation(prompt, options);
+    const requestBody = {
+      model: options.model || this.model,
+      max_tokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+      temperature: options.temperature ?? 0.7,
+      system: system || DEFAULT_SYSTEM_PROMPT,
+      messages: this.buildMessages(messages)
+    };
+
+    if (options.tools) {
+      requestBody.tools = options.tools.map((tool) => ({
+        name: tool.name,
+        description: tool.description,
+        input_schema: tool.parameters
+      }));
+    }
+
+    return requestBody;
+  }
+
+  buildMessages(messages) {
+    const result = [];
+    const toBlocks = (content) => typeof content === 'string' ? [{ type: 'text', text: content }] : content;
+
+    for (const message of messages) {
+      let role = message.role;
+      let content = message.content;
+
+      if (message.role === 'tool') {
+        role = 'user';
+        content = [{ type: 'tool_result', tool_use_id: message.toolCallId, content: message.content }];
+      } else if (message.toolCalls) {
+        content = [
+          ...(message.content ? [{ type: 'text', text: message.content }] : []),
+          ...message.toolCalls.map((call) => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} }))
+        ];
+      } else if (message.images) {
+        // Images go before the text they are described by
+        content = [
+          ...message.images.map((image) => ({
+            type: 'image',
+            source: image.url
+              ? { type: 'url', url: image.url }
+              : { type: 'base64', media_type: image.mimeType, data: image.data }
+          })),
+          ...(message.content ? [{ type: 'text', text: message.content }] : [])
+        ];
+      }
+
+      // Tool results are sent back as a single user turn
+      const previous = result[result.length - 1];
+      if (previous && previous.role === role) {
+        previous.content = [...toBlocks(previous.content), ...toBlocks(content)];
+      } else {
+        result.push({ role, content });
+      }
+    }
+
+    return result;
+  }
+
+  async generate(prompt, options = {}) {
+    const result = await this.complete(prompt, options);
+    return result.text;
+  }
+
+  async complete(prompt, options = {}) {
+    if (!this.apiKey) {
+      throw new AuthError('Claude API key not provided', { provider: this.name });
+    }
+
+    const requestBody = this.buildRequestBody(prompt, options);
+
+    const request = createRequestSignal(options.signal, options.timeoutMs);
+
+    try {
+      const response = await fetch(this.baseUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify(requestBody),
+        signal: request.signal
+      });
+
+      if (!response.ok) {
+        throw await readApiError(response, 'Claude');
+      }
+
+      const rawBody = await response.text();
+      const data = parseJsonLoose(rawBody);
+      
+      if (Array.isArray(data.content) && data.content.length > 0) {
+        const promptTokens = data.usage?.input_tokens || 0;
+        const completionTokens = data.usage?.output_tokens || 0;
+        return {
+          text: data.content.filter((block) => block.type === 'text').map((block) => block.text).join(''),
+          toolCalls: data.content
+            .filter((block) => block.type === 'tool_use')
+            .map((block) => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+          model: data.model || requestBody.model,
+          finishReason: data.stop_reason || null,
+          usage: data.usage ? {
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens
+          } : null
+        };
+      } else {
+        throw new InvalidResponseError('Invalid response format from Claude API', { body: JSON.stringify(data) });
+      }
+    } catch (error) {
+      throw wrapProviderError(error, 'Claude', { provider: this.name, model: options.model || this.model });
+    } finally {
+      request.dispose();
+    }
+  }
+
+  async *generateStream(prompt, options = {}) {
+    if (!this.apiKey) {
+      throw new AuthError('Claude API key not provided', { provider: this.name });
+    }
+
+    const request = createRequestSignal(options.signal, options.timeoutMs);
+
+    try {
+      const requestBody = { ...this.buildRequestBody(prompt, options), stream: true };
+
+      const response = await fetch(this.baseUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify(requestBody),
+        signal: request.signal
+      });
+
+      if (!response.ok) {
+        throw await readApiError(response, 'Claude');
+      }
+
+      let promptTokens = 0;
+
+      for await (const { event, data } of readServerSentEvents(response)) {
+        const payload = parseJsonLoose(data);
+        const type = payload.type || event;
+
+        if (type === 'message_start') {
+          promptTokens = payload.message?.usage?.input_tokens || 0;
+        } else if (type === 'content_block_delta' && payload.delta?.type === 'text_delta') {
+          yield createStreamChunk({ text: payload.delta.text });
+        } else if (type === 'message_delta') {
+          const completionTokens = payload.usage?.output_tokens || 0;
+          yield createStreamChunk({
+            finishReason: payload.delta?.stop_reason || null,
+            usage: {
+              promptTokens,
+              completionTokens,
+              totalTokens: promptTokens + completionTokens
+            }
+          });
+        } else if (type === 'error') {
+          throw createProviderError(`Claude API error: ${payload.error?.message || 'stream error'}`, {
+            provider: this.name,
+            model: options.model || this.model,
+            body: data
+          });
+        }
+      }
+    } finally {
+      request.dispose();
+    }
+  }
+}
+
+/**
+ * Groq Provider
+ */
+class GroqProvider {
+  constructor() {
+    this.name = 'groq';
+    this.baseUrl = 'https://api.groq.com/openai/v1/chat/completions';
+    this.modelsUrl = 'https://api.groq.com/openai/v1/models';
+    this.apiKey = null;
+    this.model = 'llama3-8b-8192';
+  }
+
+  async initialize(apiKey, options = {}) {
+    initializeApiKeys(this, apiKey, options);
+  }
+
+  async listModels(options = {}) {
+    if (!this.apiKey) {
+      throw new AuthError('Groq API key not provided', { provider: this.name });
+    }
+
+    const data = await fetchModelList(this.modelsUrl, { 'Authorization': `Bearer ${this.apiKey}` }, 'Groq', options);
+    return (data.data || [])
+      // Speech-to-text models can't chat
+      .filter((model) => !/whisper/i.test(model.id))
+      .map((model) => ({ id: model.id, label: model.id, contextLength: model.context_window }));
+  }
+
+  async healthCheck(options = {}) {
+    return await runHealthCheck(this, options);
+  }
+
+  buildRequestBody(prompt, options = {}) {
+    const { system, messages } = normalizeConversation(prompt, options);
+    return {
+      model: options.model || this.model,
+      messages: [
+        {
+          role: 'system',
+          content: system || DEFAULT_SYSTEM_PROMPT
+        },
+        ...toOpenAIMessages(messages)
+      ],
+      temperature: options.temperature ?? 0.7,
+      max_tokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+      ...(options.tools ? { tools: toOpenAITools(options.tools) } : {}),
+      ...(options.responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {})
+    };
+  }
+
+  async generate(prompt, options = {}) {
+    const result = await this.complete(prompt, options);
+    return result.text;
+  }
+
+  async complete(prompt, options = {}) {
+    if (!this.apiKey) {
+      throw new AuthError('Groq API key not provided', { provider: this.name });
+    }
+
+    const requestBody = this.buildRequestBody(prompt, options);
+
+    const request = createRequestSignal(options.signal, options.timeoutMs);
+
+    try {
+      const response = await fetch(this.baseUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify(requestBody),
+        signal: request.signal
+      });
+
+      if (!response.ok) {
+        throw await readApiError(response, 'Groq');
+      }
+
+      const rawBody = await response.text();
+      const data = parseJsonLoose(rawBody);
+      
+      if (data.choices && data.choices[0] && data.choices[0].message) {
+        return {
+          text: data.choices[0].message.content || '',
+          toolCalls: parseOpenAIToolCalls(data.choices[0].message.tool_calls),
+          model: data.model || requestBody.model,
+          finishReason: data.choices[0].finish_reason || null,
+          usage: data.usage ? {
+            promptTokens: data.usage.prompt_tokens || 0,
+            completionTokens: data.usage.completion_tokens || 0,
+            totalTokens: data.usage.total_tokens || 0
+          } : null
+        };
+      } else {
+        throw new InvalidResponseError('Invalid response format from Groq API', { body: JSON.stringify(data) });
+      }
+    } catch (error) {
+      throw wrapProviderError(error, 'Groq', { provider: this.name, model: options.model || this.model });
+    } finally {
+      request.dispose();
+    }
+  }
+
+  async *generateStream(prompt, options = {}) {
+    if (!this.apiKey) {
+      throw new AuthError('Groq API key not provided', { provider: this.name });
+    }
+
+    const request = createRequestSignal(options.signal, options.timeoutMs);
+
+    try {
+      const requestBody = { ...this.buildRequestBody(prompt, options), stream: true };
+
+      const response = await fetch(this.baseUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify(requestBody),
+        signal: request.signal
+      });
+
+      if (!response.ok) {
+        throw await readApiError(response, 'Groq');
+      }
+
+      yield* readChatCompletionStream(response);
+    } finally {
+      request.dispose();
+    }
+  }
+}
+
+/**
+ * Hugging Face Provider
+ * Talks to the serverless Inference API, or to a self-hosted Text Generation
+ * Inference (TGI) server / Inference Endpoint when endpointUrl is set. The
+ * default 'chat-completion' task uses the OpenAI-style /v1/chat/completions
+ * route, so the model's own chat template is applied; 'text-generation'
+ * sends a flattened transcript as raw inputs.
+ */
+const HUGGING_FACE_SETTINGS_STORAGE_KEY = 'huggingFaceSettings';
+const HUGGING_FACE_TASKS = ['chat-completion', 'text-generation'];
+// Cold models answer 503 with estimated_time; waits are capped at this
+const HUGGING_FACE_MAX_LOADING_WAIT_MS = 60000;
+
+function loadHuggingFaceSettings() {
+  const stored = localStorage.getItem(HUGGING_FACE_SETTINGS_STORAGE_KEY);
+  if (!stored) {
+    return {};
+  }
+
+  try {
+    return JSON.parse(stored);
+  } catch (error) {
+    console.warn('Corrupted Hugging Face settings detected. Resetting.', error);
+    localStorage.removeItem(HUGGING_FACE_SETTINGS_STORAGE_KEY);
+    return {};
+  }
+}
+
+// { endpointUrl, task, model }; an empty endpointUrl goes back to the Inference API
+function saveHuggingFaceSettings(settings = {}) {
+  const normalized = {
+    endpointUrl: (settings.endpointUrl || '').trim() || null,
+    task: settings.task || 'chat-completion',
+    model: (settings.model || '').trim() || null
+  };
+
+  if (!HUGGING_FACE_TASKS.includes(normalized.task)) {
+    throw new Error(`Unknown Hugging Face task: ${normalized.task} (use ${HUGGING_FACE_TASKS.join(' or ')})`);
+  }
+  if (normalized.endpointUrl) {
+    let url;
+    try {
+      url = new URL(normalized.endpointUrl);
+    } catch {
+      throw new Error(`Invalid TGI server URL: ${normalized.endpointUrl}`);
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+      throw new Error('TGI server URL must start with http:// or https://');
+    }
+  }
+
+  localStorage.setItem(HUGGING_FACE_SETTINGS_STORAGE_KEY, JSON.stringify(normalized));
+  return normalized;
+}
+
+// Milliseconds a 503 "model is loading" reply asks us to wait, or null for other 503s
+async function readModelLoadingTime(response) {
+  try {
+    const data = parseJsonLoose(await response.text());
+    return typeof data.estimated_time === 'number' ? Math.ceil(data.estimated_time * 1000) : null;
+  } catch {
+    return null;
+  }
+}
+
+class HuggingFaceProvider {
+  constructor(settings = loadHuggingFaceSettings()) {
+    this.name = 'huggingface';
+    this.baseUrl = 'https://api-inference.huggingface.co/models';
+    this.featureExtractionUrl = 'https://api-inference.huggingface.co/pipeline/feature-extraction';
+    // Text-generation models currently loaded on the serverless Inference API
+    this.modelsUrl = 'https://huggingface.co/api/models?pipeline_tag=text-generation&inference=warm&limit=100';
+    this.apiKey = null;
+    this.model = settings.model || 'Qwen/Qwen2.5-Coder-32B-Instruct';
+    this.embeddingModel = 'sentence-transformers/all-MiniLM-L6-v2';
+    this.task = settings.task || 'chat-completion';
+    // Self-hosted TGI server or Inference Endpoint; these often run without a key
+    this.endpointUrl = settings.endpointUrl || null;
+    this.requiresApiKey = !this.endpointUrl;
+    // How many 503 "model is loading" replies to wait out before failing
+    this.maxLoadingRetries = 3;
+  }
+
+  // options: { endpointUrl, task, keyRotation, keyParkMs }
+  async initialize(apiKey, options = {}) {
+    initializeApiKeys(this, apiKey, options);
+    if (options.endpointUrl !== undefined) {
+      this.endpointUrl = options.endpointUrl || null;
+      this.requiresApiKey = !this.endpointUrl;
+    }
+    if (options.task) {
+      if (!HUGGING_FACE_TASKS.includes(options.task)) {
+        throw new Error(`Unknown Hugging Face task: ${options.task} (use ${HUGGING_FACE_TASKS.join(' or ')})`);
+      }
+      this.task = options.task;
+    }
+  }
+
+  getHeaders() {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers['Authorization'] = `Bearer ${this.apiKey}`;
+    }
+    return headers;
+  }
+
+  getUrl(task, model) {
+    if (task === 'chat-completion') {
+      return this.endpointUrl
+        ? joinApiUrl(this.endpointUrl, '/v1/chat/completions')
+        : `${this.baseUrl}/${model}/v1/chat/completions`;
+    }
+    return this.endpointUrl || `${this.baseUrl}/${model}`;
+  }
+
+  async listModels(options = {}) {
+    if (this.requiresApiKey && !this.apiKey) {
+      throw new AuthError('Hugging Face API key not provided', { provider: this.name });
+    }
+
+    // A TGI server serves the one model it was started with
+    if (this.endpointUrl) {
+      const info = await fetchModelList(joinApiUrl(this.endpointUrl, '/info'), this.getHeaders(), 'Hugging Face TGI', options);
+      return info.model_id ? [{ id: info.model_id, label: info.model_id }] : [];
+    }
+
+    const data = await fetchModelList(this.modelsUrl, this.getHeaders(), 'Hugging Face', options);
+    return (Array.isArray(data) ? data : []).map((model) => ({ id: model.id || model.modelId, label: model.id || model.modelId }));
+  }
+
+  async healthCheck(options = {}) {
+    return await runHealthCheck(this, options);
+  }
+
+  buildRequestBody(prompt, options = {}) {
+    const task = options.task || this.task;
+    const { system, messages } = normalizeConversation(prompt, options);
+    const stop = [].concat(options.stop || []);
+
+    if (task === 'chat-completion') {
+      return {
+        // TGI ignores the model name; the Inference API routes on the URL
+        model: this.endpointUrl ? 'tgi' : options.model || this.model,
+        messages: [
+          { role: 'system', content: system || DEFAULT_SYSTEM_PROMPT },
+          ...toOpenAIMessages(messages)
+        ],
+        max_tokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+        temperature: options.temperature ?? 0.7,
+        ...(stop.length ? { stop } : {}),
+        ...(options.responseFormat === 'json' ? { response_format: { type: 'json_object' } } : {})
+      };
+    }
+
+    const inputs = formatConversationAsPrompt(messages);
+    return {
+      inputs: system ? `${system}\n\n${inputs}` : inputs,
+      parameters: {
+        max_new_tokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+        temperature: options.temperature ?? 0.7,
+        do_sample: true,
+        // Without this the prompt is echoed back at the start of generated_text
+        return_full_text: false,
+        // Reports why generation ended
+        details: true,
+        ...(stop.length ? { stop } : {})
+      }
+    };
+  }
+
+  // POSTs, waiting out "model is loading" replies while the model is cold
+  async post(url, body, model, signal) {
+    for (let attempt = 0; ; attempt++) {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: this.getHeaders(),
+        body: JSON.stringify(body),
+        signal
+      });
+
+      if (response.status !== 503 || attempt >= this.maxLoadingRetries) {
+        return response;
+      }
+
+      const estimatedMs = await readModelLoadingTime(response.clone());
+      if (estimatedMs === null) {
+        return response;
+      }
+
+      const waitMs = Math.min(estimatedMs, HUGGING_FACE_MAX_LOADING_WAIT_MS);
+      console.log(`⏳ ${model} is loading on Hugging Face, retrying in ${Math.ceil(waitMs / 1000)}s`);
+      await sleep(waitMs, signal);
+    }
+  }
+
+  async generate(prompt, options = {}) {
+    const result = await this.complete(prompt, options);
+    return result.text;
+  }
+
+  async complete(prompt, options = {}) {
+    if (this.requiresApiKey && !this.apiKey) {
+      throw new AuthError('Hugging Face API key not provided', { provider: this.name });
+    }
+
+    const task = options.task || this.task;
+    const model = options.model || this.model;
+    const requestBody = this.buildRequestBody(prompt, options);
+    const request = createRequestSignal(options.signal, options.timeoutMs);
+
+    try {
+      const response = await this.post(this.getUrl(task, model), requestBody, model, request.signal);
+
+      if (!response.ok) {
+        throw await readApiError(response, 'Hugging Face');
+      }
+
+      const rawBody = await response.text();
+      const data = parseJsonLoose(rawBody);
+
+      if (task === 'chat-completion') {
+        if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+          throw new InvalidResponseError('Invalid response format from Hugging Face API', { body: rawBody });
+        }
+        return {
+          text: data.choices[0].message.content || '',
+          model: this.endpointUrl ? data.model || model : model,
+          finishReason: data.choices[0].finish_reason || null,
+          usage: data.usage ? {
+            promptTokens: data.usage.prompt_tokens || 0,
+            completionTokens: data.usage.completion_tokens || 0,
+            totalTokens: data.usage.total_tokens || 0
+          } : null
+        };
+      }
+
+      // The Inference API wraps the result in an array, TGI's /generate doesn't
+      const output = Array.isArray(data) ? data[0] : data;
+      if (!output || typeof output.generated_text !== 'string') {
+        throw new InvalidResponseError('Invalid response format from Hugging Face API', { body: rawBody });
+      }
+
+      const finishReason = output.details?.finish_reason || null;
+      let text = output.generated_text;
+      // TGI keeps the stop sequence that ended generation
+      const stopSequence = requestBody.parameters.stop?.find((stop) => text.endsWith(stop));
+      if (stopSequence) {
+        text = text.slice(0, -stopSequence.length);
+      }
+
+      return {
+        text,
+        model,
+        finishReason: finishReason === 'length' ? 'length' : finishReason ? 'stop' : null,
+        // The inference API doesn't report token counts
+        usage: null
+      };
+    } catch (error) {
+      throw wrapProviderError(error, 'Hugging Face', {
+        provider: this.name,
+        model,
+        hint: this.endpointUrl ? `Make sure the TGI server at ${this.endpointUrl} is running.` : undefined
+      });
+    } finally {
+      request.dispose();
+    }
+  }
+
+  async embed(texts, options = {}) {
+    if (!this.apiKey) {
+      throw new AuthError('Hugging Face API key not provided', { provider: this.name });
+    }
+
+    const model = options.embeddingModel || this.embeddingModel;
+    const request = createRequestSignal(options.signal, options.timeoutMs);
+
+    try {
+      const response = await fetch(`${this.featureExtractionUrl}/${model}`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${this.apiKey}`
+        },
+        body: JSON.stringify({ inputs: texts, options: { wait_for_model: true } }),
+        signal: request.signal
+      });
+
+      if (!response.ok) {
+        throw await readApiError(response, 'Hugging Face');
+      }
+
+      const data = parseJsonLoose(await response.text());
+      if (!Array.isArray(data) || data.length !== texts.length) {
+        throw new InvalidResponseError('Invalid feature-extraction response from Hugging Face API', { body: JSON.stringify(data) });
+      }
+      // Models without a pooling layer return one vector per token; average them
+      return { vectors: data.map((output) => (Array.isArray(output[0]) ? meanPool(output) : output)), model };
+    } catch (error) {
+      throw wrapProviderError(error, 'Hugging Face', { provider: this.name, model });
+    } finally {
+      request.dispose();
+    }
+  }
+}
+
+/**
+ * Ollama Provider (Local)
+ * Every completion goes through /api/chat, so history, tools and images are
+ * sent as messages. The host, keep_alive and num_ctx come from the saved
+ * Ollama settings and can be overridden per instance or per call.
+ */
+const OLLAMA_SETTINGS_STORAGE_KEY = 'ollamaSettings';
+const DEFAULT_OLLAMA_HOST = 'http://localhost:11434';
+
+function loadOllamaSettings() {
+  const stored = localStorage.getItem(OLLAMA_SETTINGS_STORAGE_KEY);
+  if (!stored) {
+    return { host: DEFAULT_OLLAMA_HOST, keepAlive: null, numCtx: null };
+  }
+
+  try {
+    return { host: DEFAULT_OLLAMA_HOST, keepAlive: null, numCtx: null, ...JSON.parse(stored) };
+  } catch (error) {
+    console.warn('Corrupted Ollama settings detected. Resetting.', error);
+    localStorage.removeItem(OLLAMA_SETTINGS_STORAGE_KEY);
+    return { host: DEFAULT_OLLAMA_HOST, keepAlive: null, numCtx: null };
+  }
+}
+
+function normalizeOllamaHost(host) {
+  let url;
+  try {
+    url = new URL(host);
+  } catch {
+    throw new Error(`Invalid Ollama host: ${host}`);
+  }
+  if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+    throw new Error('Ollama host must start with http:// or https://');
+  }
+  return url.origin + url.pathname.replace(/\/+$/, '');
+}
+
+/**
+ * settings: { host, keepAlive, numCtx }. keepAlive is how long Ollama keeps
+ * the model in memory after a call ('10m', 3600 seconds, -1 for forever, 0 to
+ * unload at once); numCtx is the context window it allocates, in tokens.
+ */
+function saveOllamaSettings(settings = {}) {
+  const keepAlive = settings.keepAlive === '' || settings.keepAlive === undefined ? null : settings.keepAlive;
+  if (keepAlive !== null && !/^-?\d+(\.\d+)?(ms|s|m|h)?$/.test(String(keepAlive).trim())) {
+    throw new Error(`Invalid keep-alive: ${keepAlive} (use a duration like "10m", seconds, or -1)`);
+  }
+  const numCtx = settings.numCtx ? parseInt(settings.numCtx, 10) : null;
+  if (numCtx !== null && !(numCtx > 0)) {
+    throw new Error(`Invalid context size: ${settings.numCtx}`);
+  }
+
+  const normalized = {
+    host: normalizeOllamaHost((settings.host || '').trim() || DEFAULT_OLLAMA_HOST),
+    // Bare numbers are seconds
+    keepAlive: keepAlive === null || /[a-z]$/.test(String(keepAlive).trim()) ? keepAlive : Number(keepAlive),
+    numCtx
+  };
+
+  localStorage.setItem(OLLAMA_SETTINGS_STORAGE_KEY, JSON.stringify(normalized));
+  announceOllamaHost(normalized.host);
+  return normalized;
+}
+
+// sw.js only lets Ollama traffic through untouched for hosts it knows about
+function announceOllamaHost(host = loadOllamaSettings().host) {
+  if (typeof navigator === 'undefined' || !navigator.serviceWorker) {
+    return;
+  }
+  navigator.serviceWorker.ready
+    .then((registration) => registration.active?.postMessage({ type: 'ollama-host', host }))
+    .catch((error) => console.warn('Could not pass the Ollama host to the service worker:', error));
+}
+
+class OllamaProvider {
+  constructor(settings = loadOllamaSettings()) {
+    this.name = 'ollama';
+    this.setHost(settings.host || DEFAULT_OLLAMA_HOST);
+    this.model = 'llama2';
+    this.embeddingModel = 'nomic-embed-text';
+    // Sent as keep_alive / options.num_ctx when set; Ollama's defaults otherwise
+    this.keepAlive = settings.keepAlive ?? null;
+    this.numCtx = settings.numCtx || null;
+  }
+
+  // options: { host, keepAlive, numCtx }; no API key needed for local Ollama
+  async initialize(apiKey, options = {}) {
+    if (options.host) {
+      this.setHost(options.host);
+    }
+    if (options.keepAlive !== undefined) {
+      this.keepAlive = options.keepAlive;
+    }
+    if (options.numCtx !== undefined) {
+      this.numCtx = options.numCtx || null;
+    }
+  }
+
+  setHost(host) {
+    this.host = normalizeOllamaHost(host);
+    this.chatUrl = `${this.host}/api/chat`;
+    this.embedUrl = `${this.host}/api/embed`;
+    this.tagsUrl = `${this.host}/api/tags`;
+    this.pullUrl = `${this.host}/api/pull`;
+  }
+
+  getHint() {
+    return this.host === DEFAULT_OLLAMA_HOST
+      ? 'Make sure Ollama is running locally.'
+      : `Make sure Ollama is running at ${this.host}.`;
+  }
+
+  // Models pulled into the local Ollama install, with their size and quantization
+  async listLocalModels(options = {}) {
+    const data = await fetchModelList(this.tagsUrl, {}, 'Ollama', options);
+    return (data.models || []).map((model) => ({
+      name: model.name,
+      size: model.size,
+      modifiedAt: model.modified_at || null,
+      digest: model.digest || null,
+      family: model.details?.family || null,
+      parameterSize: model.details?.parameter_size || null,
+      quantization: model.details?.quantization_level || null
+    }));
+  }
+
+  async listModels(options = {}) {
+    const models = await this.listLocalModels(options);
+    return models.map((model) => ({ id: model.name, label: model.name, size: model.size }));
+  }
+
+  async healthCheck(options = {}) {
+    return await runHealthCheck(this, options);
+  }
+
+  /**
+   * Downloads a model from the Ollama library. onProgress gets
+   * { status, digest, completed, total, percent } for every line Ollama
+   * streams back; percent is null while no layer size is known.
+   */
+  async pullModel(name, { onProgress = () => {}, signal } = {}) {
+    if (!name || !name.trim()) {
+      throw new Error('Model name is required');
+    }
+
+    const request = createRequestSignal(signal);
+    let lastStatus = null;
+
+    try {
+      const response = await fetch(this.pullUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ model: name.trim(), stream: true }),
+        signal: request.signal
+      });
+
+      if (!response.ok) {
+        throw await readApiError(response, 'Ollama');
+      }
+
+      console.log(`⬇️ Pulling ${name} into Ollama`);
+      for await (const payload of readNdjson(response)) {
+        if (payload.error) {
+          throw createProviderError(`Ollama pull failed: ${payload.error}`, { provider: this.name, model: name, body: JSON.stringify(payload) });
+        }
+
+        lastStatus = payload.status;
+        onProgress({
+          status: payload.status,
+          digest: payload.digest || null,
+          completed: payload.completed || 0,
+          total: payload.total || 0,
+          percent: payload.total ? Math.round((payload.completed || 0) / payload.total * 100) : null
+        });
+      }
+
+      if (lastStatus !== 'success') {
+        throw new InvalidResponseError(`Ollama pull of ${name} ended without success (last status: ${lastStatus || 'none'})`, { provider: this.name, model: name });
+      }
+      console.log(`✅ Pulled ${name}`);
+      return { model: name, status: lastStatus };
+    } catch (error) {
+      throw wrapProviderError(error, 'Ollama', { provider: this.name, model: name, hint: this.getHint() });
+    } finally {
+      request.dispose();
+    }
+  }
+
+  buildRequestBody(prompt, options = {}, stream = false) {
+    const { system, messages } = normalizeConversation(prompt, options);
+    const chatMessages = messages.map((message) => {
+      if (message.role === 'tool') {
+        return { role: 'tool', content: message.content };
+      }
+      if (message.toolCalls) {
+        return {
+          role: 'assistant',
+          content: message.content,
+          tool_calls: message.toolCalls.map((call) => ({ function: { name: call.name, arguments: call.arguments || {} } }))
+        };
+      }
+      if (message.images) {
+        return { role: message.role, content: message.content, images: message.images.map((image) => requireImageData(image, 'Ollama').data) };
+      }
+      return { role: message.role, content: message.content };
+    });
+
+    const keepAlive = options.keepAlive ?? this.keepAlive;
+    const numCtx = options.numCtx || this.numCtx;
+    const requestBody = {
+      model: options.model || this.model,
+      messages: system ? [{ role: 'system', content: system }, ...chatMessages] : chatMessages,
+      stream: stream,
+      options: {
+        temperature: options.temperature ?? 0.7,
+        num_predict: options.maxTokens || DEFAULT_MAX_TOKENS,
+        ...(numCtx ? { num_ctx: numCtx } : {})
+      }
+    };
+
+    if (options.tools && options.tools.length) {
+      requestBody.tools = toOpenAITools(options.tools);
+    }
+    if (keepAlive !== null && keepAlive !== undefined) {
+      requestBody.keep_alive = keepAlive;
+    }
+    if (options.responseFormat === 'json') {
+      requestBody.format = 'json';
+    }
+
+    return requestBody;
+  }
+
+  async generate(prompt, options = {}) {
+    const result = await this.complete(prompt, options);
+    return result.text;
+  }
+
+  async complete(prompt, options = {}) {
+    const requestBody = this.buildRequestBody(prompt, options);
+
+    const request = createRequestSignal(options.signal, options.timeoutMs);
+
+    try {
+      const response = await fetch(this.chatUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(requestBody),
+        signal: request.signal
+      });
+
+      if (!response.ok) {
+        throw await readApiError(response, 'Ollama');
+      }
+
+      const rawBody = await response.text();
+      const data = parseOllamaResponse(rawBody);
+
+      if (data.message) {
+        const promptTokens = data.prompt_eval_count || 0;
+        const completionTokens = data.eval_count || 0;
+        return {
+          text: data.message.content || '',
+          toolCalls: (data.message.tool_calls || []).map((call) => ({
+            id: createToolCallId(),
+            name: call.function?.name,
+            ...parseToolArguments(call.function?.arguments)
+          })),
+          model: data.model || requestBody.model,
+          finishReason: data.done_reason || null,
+          usage: data.eval_count !== undefined ? {
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens
+          } : null
+        };
+      } else {
+        throw new InvalidResponseError('Invalid response format from Ollama API', { body: rawBody });
+      }
+    } catch (error) {
+      throw wrapProviderError(error, 'Ollama', { provider: this.name, model: options.model || this.model, hint: this.getHint() });
+    } finally {
+      request.dispose();
+    }
+  }
+
+  async *generateStream(prompt, options = {}) {
+    const request = createRequestSignal(options.signal, options.timeoutMs);
+
+    try {
+      let response;
+      try {
+        response = await fetch(this.chatUrl, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify(this.buildRequestBody(prompt, options, true)),
+          signal: request.signal
+        });
+      } catch (error) {
+        throw wrapProviderError(error, 'Ollama', { provider: this.name, model: options.model || this.model, hint: this.getHint() });
+      }
+
+      if (!response.ok) {
+        throw await readApiError(response, 'Ollama');
+      }
+
+      for await (const payload of readNdjson(response)) {
+        if (payload.error) {
+          throw createProviderError(`Ollama API error: ${payload.error}`, {
+            provider: this.name,
+            model: options.model || this.model,
+            body: JSON.stringify(payload)
+          });
+        }
+
+        const promptTokens = payload.prompt_eval_count || 0;
+        const completionTokens = payload.eval_count || 0;
+
+        yield createStreamChunk({
+          text: payload.message?.content || '',
+          finishReason: payload.done ? (payload.done_reason || 'stop') : null,
+          usage: payload.done ? {
+            promptTokens,
+            completionTokens,
+            totalTokens: promptTokens + completionTokens
+          } : null
+        });
+      }
+    } finally {
+      request.dispose();
+    }
+  }
+
+  async embed(texts, options = {}) {
+    const model = options.embeddingModel || this.embeddingModel;
+    const request = createRequestSignal(options.signal, options.timeoutMs);
+
+    try {
+      const response = await fetch(this.embedUrl, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ model, input: texts }),
+        signal: request.signal
+      });
+
+      if (!response.ok) {
+        throw await readApiError(response, 'Ollama');
+      }
+
+      const data = parseJsonLoose(await response.text());
+      if (!Array.isArray(data.embeddings)) {
+        throw new InvalidResponseError('Invalid embeddings response from Ollama API', { body: JSON.stringify(data) });
+      }
+      return {
+        vectors: data.embeddings,
+        model: data.model || model,
+        usage: data.prompt_eval_count !== undefined ? {
+          promptTokens: data.prompt_eval_count,
+          completionTokens: 0,
+          totalTokens: data.prompt_eval_count
+        } : null
+      };
+    } catch (error) {
+      throw wrapProviderError(error, 'Ollama', { provider: this.name, model, hint: this.getHint() });
+    } finally {
+      request.dispose();
+    }
+  }
+}
+
+/**
+ * Mock Provider (Offline)
+ * Serves scripted responses keyed by prompt pattern, so agents and the setup
+ * checks can run without API keys or network:
+ *
+ *   mockProvider
+ *     .when(/analyze these app requirements/i, { json: { name: 'Todo', ... } })
+ *     .when('Hello World', 'function hello() { return "Hello World"; }')
+ *     .otherwise('// TODO');
+ *
+ * A pattern (string, RegExp or function) is tested against the text of the
+ * latest message. A response is a string, { text, toolCalls, usage }, { json },
+ * an Error to throw, or a function of the request returning one of those.
+ */
+class MockProvider {
+  constructor({ rules = [], defaultResponse = null, strict = false, latencyMs = 0 } = {}) {
+    this.name = 'mock';
+    this.model = 'mock-model';
+    this.rules = [];
+    this.defaultResponse = defaultResponse;
+    // Strict mocks throw on unscripted prompts instead of answering with the default
+    this.strict = strict;
+    this.latencyMs = latencyMs;
+    this.calls = [];
+
+    for (const rule of rules) {
+      this.when(rule.pattern, rule.response, rule);
+    }
+  }
+
+  async initialize() {
+    // Nothing to connect to
+  }
+
+  async listModels() {
+    return [{ id: this.model, label: 'Mock (offline)' }];
+  }
+
+  async healthCheck(options = {}) {
+    return await runHealthCheck(this, options);
+  }
+
+  when(pattern, response, { times = Infinity } = {}) {
+    this.rules.push({ pattern, response, times, used: 0 });
+    return this;
+  }
+
+  otherwise(response) {
+    this.defaultResponse = response;
+    return this;
+  }
+
+  reset() {
+    this.rules = [];
+    this.defaultResponse = null;
+    this.calls = [];
+  }
+
+  matches(pattern, text, request) {
+    if (pattern instanceof RegExp) {
+      return pattern.test(text);
+    }
+    if (typeof pattern === 'function') {
+      return Boolean(pattern(text, request));
+    }
+    return text.includes(String(pattern));
+  }
+
+  findRule(text, request) {
+    return this.rules.find((rule) => rule.used < rule.times && this.matches(rule.pattern, text, request));
+  }
+
+  async resolveResponse(response, request) {
+    const value = typeof response === 'function' ? await response(request) : response;
+
+    if (value instanceof Error) {
+      throw value;
+    }
+    if (value === null || value === undefined) {
+      return { text: '' };
+    }
+    if (typeof value === 'string') {
+      return { text: value };
+    }
+    if (value.json !== undefined) {
+      return { ...value, text: JSON.stringify(value.json, null, 2) };
+    }
+    return value;
+  }
+
+  async generate(prompt, options = {}) {
+    const result = await this.complete(prompt, options);
+    return result.text;
+  }
+
+  async complete(prompt, options = {}) {
+    throwIfAborted(options.signal);
+
+    const { system, messages } = normalizeConversation(prompt, options);
+    const latest = messages[messages.length - 1];
+    const request = { prompt: latest.content, system, messages, options };
+    const rule = this.findRule(latest.content, request);
+
+    this.calls.push({ prompt: latest.content, system, messages, rule: rule ? this.rules.indexOf(rule) : null });
+
+    if (this.latencyMs > 0) {
+      await sleep(this.latencyMs, options.signal);
+    }
+
+    let response;
+    if (rule) {
+      rule.used++;
+      response = rule.response;
+    } else if (this.strict) {
+      throw new Error(`Mock provider has no scripted response for: ${latest.content.substring(0, 80)}`);
+    } else {
+      response = this.defaultResponse ?? `Mock response to: ${latest.content.substring(0, 80)}`;
+    }
+
+    const result = await this.resolveResponse(response, request);
+    const text = result.text || '';
+    const promptTokens = estimateTokenCount(conversationText(messages));
+    const completionTokens = estimateTokenCount(text);
+
+    return {
+      text,
+      toolCalls: (result.toolCalls || []).map((call) => ({
+        id: call.id || createToolCallId(),
+        name: call.name,
+        arguments: call.arguments || {}
+      })),
+      model: result.model || options.model || this.model,
+      finishReason: result.finishReason || 'stop',
+      usage: result.usage || { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens }
+    };
+  }
+
+  async embed(texts) {
+    return await new HashingEmbedder().embed(texts);
+  }
+
+  async *generateStream(prompt, options = {}) {
+    const result = await this.complete(prompt, options);
+    const pieces = result.text.match(/\S+\s*|\s+/g) || [];
+
+    for (const piece of pieces) {
+      throwIfAborted(options.signal);
+      yield createStreamChunk({ text: piece });
+    }
+
+    yield createStreamChunk({ finishReason: result.finishReason, usage: result.usage });
+  }
+}
+
+/**
+ * Cassette: record/replay wrapper around any provider.
+ * In 'record' mode requests go to the real provider and every request/response
+ * pair is kept; save() downloads them as a JSON file. In 'replay' mode the same
+ * requests are answered from the recording, byte-for-byte, without touching
+ * the network. Identical requests replay in the order they were recorded.
+ *
+ *   const cassette = new CassetteProvider(new GeminiProvider(), { mode: 'record' });
+ *   ... run the pipeline, then cassette.save('pipeline.cassette.json');
+ *
+ *   const replay = await CassetteProvider.load(file);   // File, JSON string or object
+ *   providerRegistry.register('replay', () => replay, providerRegistry.getCapabilities('gemini'));
+ */
+const CASSETTE_VERSION = 1;
+
+// Options that don't change what the provider answers
+const CASSETTE_IGNORED_OPTIONS = ['signal', 'timeoutMs', 'onText', 'agent', 'taskId', 'projectId'];
+
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return '[' + value.map((item) => stableStringify(item === undefined ? null : item)).join(',') + ']';
+  }
+  if (value && typeof value === 'object') {
+    const keys = Object.keys(value).filter((key) => value[key] !== undefined && typeof value[key] !== 'function').sort();
+    return '{' + keys.map((key) => JSON.stringify(key) + ':' + stableStringify(value[key])).join(',') + '}';
+  }
+  return JSON.stringify(value);
+}
+
+// FNV-1a; only needs to be stable, not cryptographic
+function hashString(str) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+class CassetteProvider {
+  constructor(provider = null, { mode = 'record', cassette = null } = {}) {
+    if (mode !== 'record' && mode !== 'replay') {
+      throw new Error(`Unknown cassette mode: ${mode}`);
+    }
+    if (mode === 'record' && !provider) {
+      throw new Error('Recording a cassette needs a provider to record from');
+    }
+
+    this.provider = provider;
+    this.mode = mode;
+    this.name = provider?.name || cassette?.provider || 'cassette';
+    this.model = provider?.model || cassette?.model;
+    this.interactions = cassette ? [...cassette.interactions] : [];
+    this.replayCounts = {};
+  }
+
+  static async load(source, provider = null) {
+    let data = source;
+    if (typeof Blob !== 'undefined' && source instanceof Blob) {
+      data = await source.text();
+    }
+    if (typeof data === 'string') {
+      data = JSON.parse(data);
+    }
+    if (!data || !Array.isArray(data.interactions)) {
+      throw new Error('Invalid cassette: expected an object with an interactions array');
+    }
+    if (data.version !== CASSETTE_VERSION) {
+      throw new Error(`Unsupported cassette version: ${data.version}`);
+    }
+    return new CassetteProvider(provider, { mode: 'replay', cassette: data });
+  }
+
+  async initialize(apiKey, options = {}) {
+    if (this.mode === 'record') {
+      await this.provider.initialize(apiKey, options);
+    }
+  }
+
+  // A replaying cassette is always healthy; a recording one is as healthy as its provider
+  async listModels(options = {}) {
+    if (this.mode === 'record') {
+      return await this.provider.listModels(options);
+    }
+    return [{ id: this.model, label: `${this.model} (cassette)` }];
+  }
+
+  async healthCheck(options = {}) {
+    return this.mode === 'record'
+      ? await this.provider.healthCheck(options)
+      : await runHealthCheck(this, options);
+  }
+
+  createRequest(method, prompt, options) {
+    const recordedOptions = {};
+    for (const [key, value] of Object.entries(options)) {
+      if (!CASSETTE_IGNORED_OPTIONS.includes(key)) {
+        recordedOptions[key] = value;
+      }
+    }
+    const request = { method, prompt, options: recordedOptions };
+    return { key: hashString(stableStringify(request)), request: JSON.parse(JSON.stringify(request)) };
+  }
+
+  record(key, request, outcome) {
+    this.interactions.push({ key, request, ...JSON.parse(JSON.stringify(outcome)) });
+  }
+
+  replay(key, method) {
+    const occurrence = this.replayCounts[key] || 0;
+    const recorded = this.interactions.filter((interaction) => interaction.key === key);
+
+    if (occurrence >= recorded.length) {
+      throw new Error(`Cassette has no recorded ${method} response for request ${key}` +
+        (recorded.length ? ` (only ${recorded.length} recorded)` : ''));
+    }
+
+    this.replayCounts[key] = occurrence + 1;
+    const interaction = recorded[occurrence];
+
+    if (interaction.error) {
+      const { name, message, provider, model, status, retryAfterMs, bodyExcerpt } = interaction.error;
+      // Recorded ProviderErrors come back as the same type
+      const ProviderErrorType = PROVIDER_ERROR_TYPES[name];
+      if (ProviderErrorType) {
+        throw new ProviderErrorType(message, { provider, model, status, retryAfter: retryAfterMs, body: bodyExcerpt });
+      }
+      const error = new Error(message);
+      error.name = name || 'Error';
+      error.status = status;
+      error.retryAfterMs = retryAfterMs;
+      throw error;
+    }
+
+    return interaction;
+  }
+
+  serializeError(error) {
+    return {
+      error: {
+        name: error.name,
+        message: error.message,
+        provider: error.provider,
+        model: error.model,
+        status: error.status,
+        retryAfterMs: error.retryAfterMs,
+        bodyExcerpt: error.bodyExcerpt
+      }
+    };
+  }
+
+  async complete(prompt, options = {}) {
+    const { key, request } = this.createRequest('complete', prompt, options);
+
+    if (this.mode === 'replay') {
+      throwIfAborted(options.signal);
+      return this.replay(key, 'complete').response;
+    }
+
+    let response;
+    try {
+      response = this.provider.complete
+        ? await this.provider.complete(prompt, options)
+        : { text: await this.provider.generate(prompt, options) };
+    } catch (error) {
+      // Cancellations are the caller's doing, not something to replay
+      if (!(error instanceof AbortError)) {
+        this.record(key, request, this.serializeError(error));
+      }
+      throw error;
+    }
+
+    this.record(key, request, { response });
+    return response;
+  }
+
+  async generate(prompt, options = {}) {
+    const result = await this.complete(prompt, options);
+    return result.text;
+  }
+
+  async *generateStream(prompt, options = {}) {
+    const { key, request } = this.createRequest('generateStream', prompt, options);
+
+    if (this.mode === 'replay') {
+      throwIfAborted(options.signal);
+      for (const chunk of this.replay(key, 'generateStream').chunks) {
+        throwIfAborted(options.signal);
+        yield chunk;
+      }
+      return;
+    }
+
+    if (!this.provider.generateStream) {
+      throw new Error(`${this.name} does not support streaming`);
+    }
+
+    const chunks = [];
+    try {
+      for await (const chunk of this.provider.generateStream(prompt, options)) {
+        chunks.push(chunk);
+        yield chunk;
+      }
+    } catch (error) {
+      if (!(error instanceof AbortError)) {
+        this.record(key, request, { chunks, ...this.serializeError(error) });
+      }
+      throw error;
+    }
+
+    this.record(key, request, { chunks });
+  }
+
+  toJSON() {
+    return {
+      version: CASSETTE_VERSION,
+      provider: this.name,
+      model: this.model,
+      recordedAt: new Date().toISOString(),
+      interactions: this.interactions
+    };
+  }
+
+  save(filename = `${this.name}.cassette.json`) {
+    const blob = new Blob([JSON.stringify(this.toJSON(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+}
+
+/**
+ * Provider Registry
+ * Maps provider names to factories plus capability flags. Third-party
+ * providers can be added from their own script tag, loaded after this file:
+ *
+ *   providerRegistry.register('mistral', () => new MistralProvider(), { streaming: true });
+ *
+ * A provider instance needs initialize(apiKey) and complete(prompt, options)
+ * (or generate); generateStream is used when present.
+ */
+const DEFAULT_PROVIDER_CAPABILITIES = {
+  streaming: false,
+  tools: false,
+  jsonMode: false,
+  vision: false,
+  embeddings: false,
+  contextLength: 4096
+};
+
+class ProviderRegistry {
+  constructor() {
+    this.entries = new Map();
+  }
+
+  register(name, factory, capabilities = {}) {
+    if (!name || typeof name !== 'string') {
+      throw new Error('Provider name must be a non-empty string');
+    }
+    if (typeof factory !== 'function') {
+      throw new Error(`Provider factory for ${name} must be a function`);
+    }
+
+    this.entries.set(name, {
+      name,
+      factory,
+      capabilities: { ...DEFAULT_PROVIDER_CAPABILITIES, ...capabilities }
+    });
+    return this;
+  }
+
+  unregister(name) {
+    this.entries.delete(name);
+  }
+
+  has(name) {
+    return this.entries.has(name);
+  }
+
+  list() {
+    return Array.from(this.entries.keys());
+  }
+
+  getCapabilities(name) {
+    const entry = this.entries.get(name);
+    return entry ? { ...entry.capabilities } : null;
+  }
+
+  supports(name, capability) {
+    const capabilities = this.getCapabilities(name);
+    return Boolean(capabilities && capabilities[capability]);
+  }
+
+  // Names of providers that have every listed capability
+  find(requiredCapabilities = []) {
+    return this.list().filter((name) => requiredCapabilities.every((capability) => this.supports(name, capability)));
+  }
+
+  create(name) {
+    const entry = this.entries.get(name);
+    if (!entry) {
+      throw new Error(`Unknown AI provider: ${name}`);
+    }
+
+    const provider = entry.factory();
+    provider.name = provider.name || name;
+    provider.capabilities = { ...entry.capabilities };
+    return provider;
+  }
+}
+
+const providerRegistry = new ProviderRegistry();
+const mockProvider = new MockProvider();
+
+providerRegistry
+  .register('gemini', () => new GeminiProvider(), {
+    streaming: true, tools: true, jsonMode: true, vision: true, embeddings: true, contextLength: 1048576
+  })
+  .register('openai', () => new OpenAIProvider(), {
+    streaming: true, tools: true, jsonMode: true, vision: true, embeddings: true, contextLength: 8192
+  })
+  .register('claude', () => new ClaudeProvider(), {
+    streaming: true, tools: true, vision: true, contextLength: 200000
+  })
+  .register('groq', () => new GroqProvider(), {
+    streaming: true, tools: true, jsonMode: true, contextLength: 8192
+  })
+  .register('huggingface', () => new HuggingFaceProvider(), {
+    embeddings: true, contextLength: 4096
+  })
+  // Tool calls need a model with tool support; images need a vision model (llava)
+  .register('ollama', () => new OllamaProvider(), {
+    streaming: true, tools: true, jsonMode: true, vision: true, embeddings: true, contextLength: 4096
+  })
+  // One shared instance, so a script set up on window.mockProvider is seen by every agent
+  .register('mock', () => mockProvider, {
+    streaming: true, tools: true, jsonMode: true, vision: true, embeddings: true, contextLength: 1048576
+  });
+
+/**
+ * Provider Health
+ * Caches healthCheck() results per provider (with their model lists) in
+ * localStorage. A result only counts while it is younger than ttlMs and was
+ * taken with the provider's current API key (compared by hash).
+ */
+const PROVIDER_HEALTH_STORAGE_KEY = 'aiProviderHealth';
+
+class ProviderHealthMonitor {
+  constructor({ ttlMs = 5 * 60 * 1000, storageKey = PROVIDER_HEALTH_STORAGE_KEY } = {}) {
+    this.ttlMs = ttlMs;
+    this.storageKey = storageKey;
+    this.results = this.load();
+    this.pending = new Map();
+    this.listeners = new Set();
+  }
+
+  load() {
+    const stored = localStorage.getItem(this.storageKey);
+    if (!stored) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      console.warn('Corrupted provider health cache detected. Resetting.', error);
+      localStorage.removeItem(this.storageKey);
+      return {};
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.results));
+    } catch (error) {
+      console.warn('Failed to persist provider health:', error);
+    }
+  }
+
+  keyFingerprint(provider) {
+    return provider && provider.apiKey ? hashString(provider.apiKey) : '';
+  }
+
+  isFresh(result, provider = null) {
+    if (!result || Date.now() - Date.parse(result.checkedAt) >= this.ttlMs) {
+      return false;
+    }
+    return !provider || result.keyFingerprint === this.keyFingerprint(provider);
+  }
+
+  async check(name, provider, { force = false, ...options } = {}) {
+    const cached = this.results[name];
+    if (!force && this.isFresh(cached, provider)) {
+      return cached;
+    }
+    // Concurrent checks of one provider share a request
+    if (this.pending.has(name)) {
+      return await this.pending.get(name);
+    }
+
+    const check = typeof provider.healthCheck === 'function'
+      ? provider.healthCheck(options)
+      : runHealthCheck(provider, options);
+    const pending = check
+      .then((result) => {
+        this.results[name] = { ...result, provider: name, keyFingerprint: this.keyFingerprint(provider) };
+        this.save();
+        this.notify(name);
+        return this.results[name];
+      })
+      .finally(() => this.pending.delete(name));
+
+    this.pending.set(name, pending);
+    return await pending;
+  }
+
+  get(name) {
+    return this.results[name] || null;
+  }
+
+  getAll() {
+    return Object.values(this.results).map((result) => ({ ...result, stale: !this.isFresh(result) }));
+  }
+
+  getModels(name) {
+    return this.results[name]?.models || [];
+  }
+
+  // Unknown or stale health counts as available; only a fresh failed check rules a provider out
+  isAvailable(name, provider = null) {
+    const result = this.results[name];
+    return !this.isFresh(result, provider) || result.ok;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(name) {
+    for (const listener of this.listeners) {
+      try {
+        listener(name, this.results[name]);
+      } catch (error) {
+        console.warn('Provider health listener failed:', error);
+      }
+    }
+  }
+
+  clear() {
+    this.results = {};
+    localStorage.removeItem(this.storageKey);
+  }
+}
+
+const providerHealthMonitor = new ProviderHealthMonitor();
+
+/**
+ * Model Catalog
+ * Context window and output limits per model, in tokens. Models missing here
+ * fall back to the provider's registered contextLength.
+ */
+const MODEL_CATALOG = {
+  'gemini-1.5-flash': { provider: 'gemini', contextLength: 1048576, maxOutputTokens: 8192, vision: true },
+  'gemini-1.5-pro': { provider: 'gemini', contextLength: 2097152, maxOutputTokens: 8192, vision: true },
+  'gpt-4': { provider: 'openai', contextLength: 8192, maxOutputTokens: 4096 },
+  'gpt-4o': { provider: 'openai', contextLength: 128000, maxOutputTokens: 16384, vision: true },
+  'gpt-4o-mini': { provider: 'openai', contextLength: 128000, maxOutputTokens: 16384, vision: true },
+  'gpt-3.5-turbo': { provider: 'openai', contextLength: 16385, maxOutputTokens: 4096 },
+  'claude-3-opus-20240229': { provider: 'claude', contextLength: 200000, maxOutputTokens: 4096, vision: true },
+  'claude-3-sonnet-20240229': { provider: 'claude', contextLength: 200000, maxOutputTokens: 4096, vision: true },
+  'claude-3-haiku-20240307': { provider: 'claude', contextLength: 200000, maxOutputTokens: 4096, vision: true },
+  'llama3-8b-8192': { provider: 'groq', contextLength: 8192, maxOutputTokens: 8192 },
+  'llama-3.1-8b-instant': { provider: 'groq', contextLength: 131072, maxOutputTokens: 8192 },
+  'llama-3.1-70b-versatile': { provider: 'groq', contextLength: 131072, maxOutputTokens: 8192 },
+  'mixtral-8x7b-32768': { provider: 'groq', contextLength: 32768, maxOutputTokens: 32768 },
+  'gemma-7b-it': { provider: 'groq', contextLength: 8192, maxOutputTokens: 8192 },
+  'Qwen/Qwen2.5-Coder-32B-Instruct': { provider: 'huggingface', contextLength: 32768, maxOutputTokens: 8192 },
+  'HuggingFaceH4/zephyr-7b-beta': { provider: 'huggingface', contextLength: 32768, maxOutputTokens: 4096 },
+  'llama2': { provider: 'ollama', contextLength: 4096, maxOutputTokens: 4096 },
+  'llava': { provider: 'ollama', contextLength: 4096, maxOutputTokens: 4096, vision: true }
+};
+
+// Cheapest catalog model per provider, used to summarize oversized context
+const SUMMARY_MODELS = {
+  gemini: 'gemini-1.5-flash',
+  openai: 'gpt-4o-mini',
+  claude: 'claude-3-haiku-20240307',
+  groq: 'llama-3.1-8b-instant'
+};
+
+// Used instead of a catalog model without vision when a prompt has images
+const VISION_MODELS = {
+  openai: 'gpt-4o',
+  ollama: 'llava'
+};
+
+function getVisionModel(providerName, model) {
+  const entry = MODEL_CATALOG[model];
+  return entry && !entry.vision ? VISION_MODELS[providerName] || null : null;
+}
+
+function getContextLength(providerName, model, registry = providerRegistry) {
+  return MODEL_CATALOG[model]?.contextLength ||
+    registry.getCapabilities(providerName)?.contextLength ||
+    DEFAULT_PROVIDER_CAPABILITIES.contextLength;
+}
+
+/**
+ * Prompt Budgeter
+ * Fits a prompt made of sections into a model's context window before it is
+ * sent. Sections are { text, priority: 'required' | 'high' | 'normal' | 'low' }
+ * and keep their order. Strategies run in order until the prompt fits:
+ *
+ *   1. drop 'low' sections
+ *   2. elide the middle of large code blocks
+ *   3. summarize the largest sections with options.summarize(text, maxTokens)
+ *   4. drop the remaining optional sections, 'normal' before 'high'
+ *
+ * Required sections are never changed; if they alone don't fit, fit() throws.
+ */
+const PROMPT_SECTION_PRIORITIES = ['low', 'normal', 'high', 'required'];
+
+class PromptBudgeter {
+  constructor({ contextLength, reserveTokens = 1024, summarize = null, codeBlockLines = 40 } = {}) {
+    this.contextLength = contextLength;
+    // Room left for the response
+    this.reserveTokens = reserveTokens;
+    this.summarize = summarize;
+    this.codeBlockLines = codeBlockLines;
+  }
+
+  get budget() {
+    return this.contextLength - this.reserveTokens;
+  }
+
+  static toSections(input) {
+    const sections = typeof input === 'string' ? [{ text: input, priority: 'required' }] : input;
+    return sections.map((section) => {
+      const normalized = typeof section === 'string' ? { text: section, priority: 'required' } : { ...section };
+      normalized.priority = normalized.priority || 'normal';
+      if (!PROMPT_SECTION_PRIORITIES.includes(normalized.priority)) {
+        throw new Error(`Unknown prompt section priority: ${normalized.priority}`);
+      }
+      return normalized;
+    });
+  }
+
+  render(sections) {
+    return sections.filter((section) => !section.dropped).map((section) => section.text.trim()).join('\n\n');
+  }
+
+  measure(sections) {
+    return estimateTokenCount(this.render(sections));
+  }
+
+  // Keeps the first and last lines of each fenced block longer than maxLines
+  elideCodeBlocks(text, maxLines) {
+    return text.replace(/```([^\n]*)\n([\s\S]*?)```/g, (block, info, body) => {
+      const lines = body.replace(/\n$/, '').split('\n');
+      if (lines.length <= maxLines) {
+        return block;
+      }
+      const head = Math.ceil(maxLines * 0.75);
+      const tail = maxLines - head;
+      const elided = lines.length - head - tail;
+      return '```' + info + '\n' + [
+        ...lines.slice(0, head),
+        `// ... ${elided} lines elided to fit the context window ...`,
+        ...lines.slice(lines.length - tail)
+      ].join('\n') + '\n```';
+    });
+  }
+
+  async fit(input) {
+    const sections = PromptBudgeter.toSections(input);
+    const optional = sections.filter((section) => section.priority !== 'required');
+    const steps = [];
+    const fits = () => this.measure(sections) <= this.budget;
+    const done = () => ({ prompt: this.render(sections), tokens: this.measure(sections), budget: this.budget, steps });
+
+    const required = sections.filter((section) => section.priority === 'required');
+    const requiredTokens = this.measure(required);
+    if (requiredTokens > this.budget) {
+      const error = new ContextLengthError(
+        `Prompt does not fit the context window: required parts need ~${requiredTokens} tokens, ` +
+        `but only ${this.budget} of ${this.contextLength} are available after reserving ${this.reserveTokens} for the response`
+      );
+      error.requiredTokens = requiredTokens;
+      error.budget = this.budget;
+      throw error;
+    }
+
+    if (fits()) {
+      return done();
+    }
+
+    // 1. Low-priority sections, last first
+    for (const section of [...optional].reverse()) {
+      if (section.priority === 'low' && !fits()) {
+        section.dropped = true;
+        steps.push({ strategy: 'drop', priority: section.priority, name: section.name });
+      }
+    }
+
+    // 2. Large code blocks, biggest sections first
+    const bySize = () => optional
+      .filter((section) => !section.dropped)
+      .sort((a, b) => estimateTokenCount(b.text) - estimateTokenCount(a.text));
+    for (const section of bySize()) {
+      if (fits()) {
+        break;
+      }
+      const elided = this.elideCodeBlocks(section.text, this.codeBlockLines);
+      if (elided !== section.text) {
+        const saved = estimateTokenCount(section.text) - estimateTokenCount(elided);
+        section.text = elided;
+        steps.push({ strategy: 'elide', name: section.name, savedTokens: saved });
+      }
+    }
+
+    // 3. Summaries from a cheaper model
+    if (this.summarize) {
+      for (const section of bySize()) {
+        if (fits()) {
+          break;
+        }
+        const sectionTokens = estimateTokenCount(section.text);
+        const overflow = this.measure(sections) - this.budget;
+        const maxTokens = Math.max(64, Math.min(Math.floor(sectionTokens / 2), sectionTokens - overflow));
+        try {
+          const summary = await this.summarize(section.text, maxTokens);
+          if (summary && estimateTokenCount(summary) < sectionTokens) {
+            section.text = summary;
+            steps.push({ strategy: 'summarize', name: section.name, savedTokens: sectionTokens - estimateTokenCount(summary) });
+          }
+        } catch (error) {
+          if (error instanceof AbortError) {
+            throw error;
+          }
+          console.warn(`Prompt summary failed for ${section.name || 'section'}:`, error.message);
+        }
+      }
+    }
+
+    // 4. Whatever optional context is left, least important first
+    for (const priority of ['normal', 'high']) {
+      for (const section of [...optional].reverse()) {
+        if (section.priority === priority && !section.dropped && !fits()) {
+          section.dropped = true;
+          steps.push({ strategy: 'drop', priority, name: section.name });
+        }
+      }
+    }
+
+    return done();
+  }
+}
+
+// Output tokens providers ask for when a call doesn't set maxTokens
+const DEFAULT_MAX_TOKENS = 2048;
+
+// Small models get half their window for the response
+function getResponseReserve(contextLength, maxTokens) {
+  return Math.min(maxTokens || DEFAULT_MAX_TOKENS, Math.floor(contextLength / 2));
+}
+
+function buildSummaryPrompt(text, maxTokens) {
+  return `Summarize the following context for another AI model in at most ${maxTokens} tokens. ` +
+    `Keep names, identifiers, file paths and decisions; leave out prose.\n\n${text}`;
+}
+
+/**
+ * API Key Pool
+ * The keys a provider was initialized with, each with a label. select() picks
+ * the key for the next request: 'round-robin' cycles through the keys,
+ * 'least-recently-limited' prefers the key whose last rate limit is oldest.
+ * A key that gets a 429 is parked until its reset time (a lone key without
+ * one is left to the retry backoff). getStats() reports
+ * usage per key by label and fingerprint, never the key itself.
+ */
+const API_KEY_ROTATION_STRATEGIES = ['round-robin', 'least-recently-limited'];
+
+class ApiKeyPool {
+  constructor(keys = [], { strategy = 'round-robin', defaultParkMs = 60000 } = {}) {
+    if (!API_KEY_ROTATION_STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown key rotation strategy: ${strategy}`);
+    }
+
+    this.strategy = strategy;
+    // How long a key sits out after a 429 that came without a reset time
+    this.defaultParkMs = defaultParkMs;
+    this.cursor = 0;
+    this.entries = ApiKeyPool.parse(keys).map((entry, index, entries) => {
+      const label = entry.label || `key-${index + 1}`;
+      const duplicate = entries.slice(0, index).some((other) => (other.label || '') === entry.label);
+      return {
+        label: duplicate ? `${label}-${index + 1}` : label,
+        key: entry.key,
+        fingerprint: hashString(entry.key),
+        limitedUntil: 0,
+        lastLimitedAt: 0,
+        lastUsedAt: 0,
+        calls: 0,
+        errors: 0,
+        rateLimits: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+        cost: 0
+      };
+    });
+  }
+
+  // One key, "label:key" entries separated by commas or new lines, or an array of keys or { key, label }
+  static parse(keys) {
+    if (!keys) {
+      return [];
+    }
+
+    const list = Array.isArray(keys) ? keys : String(keys).split(/[\n,]/);
+    return list.map((item) => {
+      if (item && typeof item === 'object') {
+        return { key: String(item.key || '').trim(), label: item.label };
+      }
+      const text = String(item).trim();
+      const labelled = text.match(/^([\w .-]{1,40}):(\S+)$/);
+      return labelled ? { label: labelled[1].trim(), key: labelled[2] } : { key: text };
+    }).filter((entry) => entry.key);
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  get primaryKey() {
+    return this.entries[0]?.key || null;
+  }
+
+  get(label) {
+    return this.entries.find((entry) => entry.label === label) || null;
+  }
+
+  hasAvailable() {
+    const now = Date.now();
+    return this.entries.some((entry) => entry.limitedUntil <= now);
+  }
+
+  // Throws a 429-like error (with retryAfterMs) while every key is parked
+  select() {
+    const now = Date.now();
+    const available = this.entries.filter((entry) => entry.limitedUntil <= now);
+    if (available.length === 0) {
+      const error = new RateLimitError(`All ${this.size} API keys are rate limited`, {
+        status: 429,
+        retryAfter: Math.min(...this.entries.map((entry) => entry.limitedUntil)) - now
+      });
+      // Raised before any request went out, so it says nothing about the provider's health
+      error.keyPoolExhausted = true;
+      throw error;
+    }
+
+    let selected;
+    if (this.strategy === 'least-recently-limited') {
+      selected = available.reduce((best, entry) =>
+        entry.lastLimitedAt < best.lastLimitedAt ||
+        (entry.lastLimitedAt === best.lastLimitedAt && entry.lastUsedAt < best.lastUsedAt) ? entry : best
+      );
+    } else {
+      for (let offset = 0; offset < this.size && !selected; offset++) {
+        const entry = this.entries[(this.cursor + offset) % this.size];
+        if (entry.limitedUntil <= now) {
+          selected = entry;
+        }
+      }
+      this.cursor = (this.entries.indexOf(selected) + 1) % this.size;
+    }
+
+    selected.lastUsedAt = now;
+    return selected;
+  }
+
+  park(label, retryAfterMs = null) {
+    const entry = this.get(label);
+    if (!entry) {
+      return;
+    }
+
+    const now = Date.now();
+    entry.lastLimitedAt = now;
+    entry.rateLimits++;
+    // Without a reset time a lone key stays usable; the caller's retry backoff paces it
+    if (retryAfterMs === null && this.size === 1) {
+      return;
+    }
+
+    const parkMs = retryAfterMs ?? this.defaultParkMs;
+    entry.limitedUntil = now + parkMs;
+    console.warn(`🔑 API key "${label}" is rate limited, parked for ${Math.ceil(parkMs / 1000)}s`);
+  }
+
+  recordUsage(label, usage, cost = 0) {
+    const entry = this.get(label);
+    if (!entry) {
+      return;
+    }
+
+    entry.calls++;
+    entry.promptTokens += usage.promptTokens;
+    entry.completionTokens += usage.completionTokens;
+    entry.totalTokens += usage.totalTokens;
+    entry.cost += cost;
+  }
+
+  recordError(label) {
+    const entry = this.get(label);
+    if (entry) {
+      entry.errors++;
+    }
+  }
+
+  getStats() {
+    const now = Date.now();
+    return this.entries.map(({ key, ...entry }) => ({ ...entry, parked: entry.limitedUntil > now }));
+  }
+}
+
+// initialize() of key-based providers: keeps the pool, with its first key as this.apiKey
+function initializeApiKeys(provider, apiKey, options = {}) {
+  provider.keyPool = new ApiKeyPool(apiKey, { strategy: options.keyRotation, defaultParkMs: options.keyParkMs });
+  provider.apiKey = provider.keyPool.primaryKey;
+}
+
+// A view of the provider that sends its requests with one key of the pool
+function bindApiKey(provider, key) {
+  if (provider.apiKey === key) {
+    return provider;
+  }
+  const bound = Object.create(provider);
+  bound.apiKey = key;
+  return bound;
+}
+
+/**
+ * Circuit Breaker
+ * Opens after consecutive failures and lets a single probe through once the cooldown has passed
+ */
+class CircuitBreaker {
+  constructor({ failureThreshold = 5, cooldownMs = 30000 } = {}) {
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  tryAcquire(now = Date.now()) {
+    if (this.state === 'open' && now - this.openedAt >= this.cooldownMs) {
+      this.state = 'half-open';
+      this.probeInFlight = false;
+    }
+
+    if (this.state === 'closed') {
+      return true;
+    }
+
+    if (this.state === 'half-open' && !this.probeInFlight) {
+      this.probeInFlight = true;
+      return true;
+    }
+
+    return false;
+  }
+
+  // Ends a call that neither proved nor disproved the provider's health
+  // (cancelled, request-kind error, key rotation); a half-open breaker lets
+  // the next call probe instead.
+  release() {
+    if (this.state === 'half-open') {
+      this.probeInFlight = false;
+    }
+  }
+
+  recordSuccess() {
+    this.state = 'closed';
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.probeInFlight = false;
+  }
+
+  recordFailure(now = Date.now()) {
+    this.consecutiveFailures++;
+
+    if (this.state === 'half-open' || this.consecutiveFailures >= this.failureThreshold) {
+      this.state = 'open';
+      this.openedAt = now;
+      this.probeInFlight = false;
+    }
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      openedAt: this.openedAt,
+      nextProbeAt: this.state === 'open' ? this.openedAt + this.cooldownMs : null
+    };
+  }
+}
+
+/**
+ * Cost Optimizer
+ */
+class CostOptimizer {
   constructor() {
-    this.name = 'openai';
-    this.baseUrl = 'https://api.openai.com/v1/chat/completions';
-    this.apiKey = null;
-    this.model = 'gpt-4';
+    // Priors used until a provider has enough observed calls in a category
+    this.providerCosts = {
+      gemini: { model: 'gemini-1.5-flash', speed: 8, quality: 9 },
+      openai: { model: 'gpt-4', speed: 7, quality: 10 },
+      claude: { model: 'claude-3-sonnet-20240229', speed: 6, quality: 10 },
+      groq: { model: 'llama3-8b-8192', speed: 10, quality: 7 },
+      huggingface: { model: 'Qwen/Qwen2.5-Coder-32B-Instruct', speed: 5, quality: 7 },
+      ollama: { model: 'llama2', speed: 4, quality: 6 }
+    };
+
+    // USD per 1M tokens. Gemini Flash is priced at the free tier; set your
+    // paid-tier rates with setModelPricing() to match your invoices.
+    this.modelPricing = {
+      'gemini-1.5-flash': { input: 0, output: 0 },
+      'gemini-1.5-pro': { input: 1.25, output: 5.00 },
+      'gpt-4': { input: 30.00, output: 60.00 },
+      'gpt-4o': { input: 2.50, output: 10.00 },
+      'gpt-4o-mini': { input: 0.15, output: 0.60 },
+      'gpt-3.5-turbo': { input: 0.50, output: 1.50 },
+      'claude-3-opus-20240229': { input: 15.00, output: 75.00 },
+      'claude-3-sonnet-20240229': { input: 3.00, output: 15.00 },
+      'claude-3-haiku-20240307': { input: 0.25, output: 1.25 },
+      'llama3-8b-8192': { input: 0.05, output: 0.08 },
+      'llama-3.1-8b-instant': { input: 0.05, output: 0.08 },
+      'llama-3.1-70b-versatile': { input: 0.59, output: 0.79 },
+      'mixtral-8x7b-32768': { input: 0.24, output: 0.24 },
+      'gemma-7b-it': { input: 0.07, output: 0.07 },
+      'Qwen/Qwen2.5-Coder-32B-Instruct': { input: 0, output: 0 },
+      'HuggingFaceH4/zephyr-7b-beta': { input: 0, output: 0 },
+      'llama2': { input: 0, output: 0 }
+    };
+
+    // Per-provider prices, for gateways that bill the same model differently
+    this.providerPricing = {};
+
+    // How much each signal counts when routing a task category; each row sums to 1
+    this.routingWeights = {
+      planning: { quality: 0.5, latency: 0.1, reliability: 0.3, cost: 0.1 },
+      codegen: { quality: 0.5, latency: 0.1, reliability: 0.2, cost: 0.2 },
+      tests: { quality: 0.4, latency: 0.2, reliability: 0.2, cost: 0.2 },
+      docs: { quality: 0.2, latency: 0.2, reliability: 0.2, cost: 0.4 },
+      default: { quality: 0.35, latency: 0.25, reliability: 0.2, cost: 0.2 }
+    };
+    this.metricsWindow = 50;
+    this.minSamples = 3;
+    this.routingLog = [];
+    this.maxRoutingLogEntries = 100;
+
+    this.loadPricingOverrides();
+    this.loadRoutingWeights();
+    this.metrics = this.loadMetrics();
+  }
+
+  registerProvider(provider, metrics, pricing = {}) {
+    this.providerCosts[provider] = metrics;
+    this.providerPricing[provider] = pricing;
+  }
+
+  loadPricingOverrides() {
+    const stored = localStorage.getItem('aiModelPricing');
+    if (!stored) {
+      return;
+    }
+
+    try {
+      Object.assign(this.modelPricing, JSON.parse(stored));
+    } catch (error) {
+      console.warn('Corrupted model pricing overrides detected. Using defaults.', error);
+      localStorage.removeItem('aiModelPricing');
+    }
+  }
+
+  setModelPricing(model, pricing) {
+    this.modelPricing[model] = { input: pricing.input || 0, output: pricing.output || 0 };
+
+    const stored = localStorage.getItem('aiModelPricing');
+    let overrides = {};
+    try {
+      overrides = stored ? JSON.parse(stored) : {};
+    } catch {
+      overrides = {};
+    }
+    overrides[model] = this.modelPricing[model];
+    localStorage.setItem('aiModelPricing', JSON.stringify(overrides));
+  }
+
+  getModelPricing(provider, model) {
+    return this.providerPricing[provider]?.[model] ||
+      this.modelPricing[model] ||
+      this.modelPricing[this.providerCosts[provider]?.model] ||
+      { input: 0, output: 0 };
+  }
+
+  calculateCost(provider, model, usage) {
+    if (!usage) {
+      return 0;
+    }
+    const pricing = this.getModelPricing(provider, model);
+    return (usage.promptTokens * pricing.input + usage.completionTokens * pricing.output) / 1000000;
+  }
+
+  // Blended input/output price per 1K tokens for the provider's default model
+  getProviderCost(provider) {
+    const pricing = this.getModelPricing(provider, this.providerCosts[provider]?.model);
+    return (pricing.input + pricing.output) / 2 / 1000;
+  }
+
+  getCheapestProvider() {
+    const sorted = Object.keys(this.providerCosts)
+      .sort((a, b) => this.getProviderCost(a) - this.getProviderCost(b));
+    return sorted[0];
+  }
+
+  getFastestProvider() {
+    const sorted = Object.entries(this.providerCosts)
+      .sort(([,a], [,b]) => b.speed - a.speed);
+    return sorted[0][0];
+  }
+
+  getBestQualityProvider() {
+    const sorted = Object.entries(this.providerCosts)
+      .sort(([,a], [,b]) => b.quality - a.quality);
+    return sorted[0][0];
+  }
+
+  getBalancedProvider(candidates = Object.keys(this.providerCosts)) {
+    return this.rankProviders('default', candidates)[0]?.provider;
+  }
+
+  /**
+   * Adaptive routing. Every call outcome is kept in a rolling window per
+   * task category and provider; rankProviders() scores candidates on those
+   * observations, falling back to the static priors while samples are few.
+   */
+  loadMetrics() {
+    const stored = localStorage.getItem('aiRoutingMetrics');
+    if (!stored) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      console.warn('Corrupted routing metrics detected. Starting fresh.', error);
+      localStorage.removeItem('aiRoutingMetrics');
+      return {};
+    }
+  }
+
+  saveMetrics() {
+    try {
+      localStorage.setItem('aiRoutingMetrics', JSON.stringify(this.metrics));
+    } catch (error) {
+      console.warn('Failed to persist routing metrics:', error);
+    }
+  }
+
+  loadRoutingWeights() {
+    const stored = localStorage.getItem('aiRoutingWeights');
+    if (!stored) {
+      return;
+    }
+
+    try {
+      Object.assign(this.routingWeights, JSON.parse(stored));
+    } catch (error) {
+      console.warn('Corrupted routing weights detected. Using defaults.', error);
+      localStorage.removeItem('aiRoutingWeights');
+    }
+  }
+
+  setRoutingWeights(category, weights) {
+    const merged = { ...this.routingWeights.default, ...this.routingWeights[category], ...weights };
+    const total = merged.quality + merged.latency + merged.reliability + merged.cost;
+    if (!(total > 0)) {
+      throw new Error(`Routing weights for ${category} must add up to more than 0`);
+    }
+
+    this.routingWeights[category] = {
+      quality: merged.quality / total,
+      latency: merged.latency / total,
+      reliability: merged.reliability / total,
+      cost: merged.cost / total
+    };
+
+    const stored = localStorage.getItem('aiRoutingWeights');
+    let overrides = {};
+    try {
+      overrides = stored ? JSON.parse(stored) : {};
+    } catch {
+      overrides = {};
+    }
+    overrides[category] = this.routingWeights[category];
+    localStorage.setItem('aiRoutingWeights', JSON.stringify(overrides));
+  }
+
+  getWindow(category, provider) {
+    const key = `${category || 'default'}|${provider}`;
+    if (!this.metrics[key]) {
+      this.metrics[key] = { outcomes: [], quality: [] };
+    }
+    return this.metrics[key];
+  }
+
+  pushSample(list, sample) {
+    list.push(sample);
+    if (list.length > this.metricsWindow) {
+      list.splice(0, list.length - this.metricsWindow);
+    }
+  }
+
+  // Outcomes are recorded under their category and under 'default'
+  recordOutcome(provider, category, { duration = 0, usage = null, cost = 0, error = false } = {}) {
+    const sample = error
+      ? { error: true }
+      : { duration, tokens: usage ? usage.totalTokens : 0, cost };
+
+    for (const key of new Set([category || 'default', 'default'])) {
+      this.pushSample(this.getWindow(key, provider).outcomes, sample);
+    }
+    this.saveMetrics();
+  }
+
+  // score in 0..1, e.g. the test pass rate of code the provider generated
+  recordQuality(provider, category, score) {
+    const clamped = Math.max(0, Math.min(1, Number(score) || 0));
+    for (const key of new Set([category || 'default', 'default'])) {
+      this.pushSample(this.getWindow(key, provider).quality, clamped);
+    }
+    this.saveMetrics();
+  }
+
+  percentile(sortedValues, fraction) {
+    if (sortedValues.length === 0) {
+      return null;
+    }
+    const index = Math.min(sortedValues.length - 1, Math.ceil(fraction * sortedValues.length) - 1);
+    return sortedValues[Math.max(0, index)];
+  }
+
+  getProviderMetrics(provider, category = 'default') {
+    const recorded = this.getWindow(category, provider);
+    const successes = recorded.outcomes.filter((sample) => !sample.error);
+    const latencies = successes.map((sample) => sample.duration).sort((a, b) => a - b);
+    const tokens = successes.reduce((sum, sample) => sum + sample.tokens, 0);
+    const cost = successes.reduce((sum, sample) => sum + sample.cost, 0);
+
+    return {
+      samples: recorded.outcomes.length,
+      p50LatencyMs: this.percentile(latencies, 0.5),
+      p95LatencyMs: this.percentile(latencies, 0.95),
+      errorRate: recorded.outcomes.length > 0 ? (recorded.outcomes.length - successes.length) / recorded.outcomes.length : null,
+      costPer1K: tokens > 0 ? (cost / tokens) * 1000 : null,
+      quality: recorded.quality.length > 0
+        ? recorded.quality.reduce((sum, score) => sum + score, 0) / recorded.quality.length
+        : null,
+      qualitySamples: recorded.quality.length
+    };
+  }
+
+  // Each signal mapped to 0..1, higher is better
+  scoreProvider(provider, category, weights) {
+    const metrics = this.getProviderMetrics(provider, category);
+    const prior = this.providerCosts[provider] || { speed: 5, quality: 5 };
+    const observed = metrics.samples >= this.minSamples;
+
+    const latencyMs = observed && metrics.p50LatencyMs !== null
+      ? (metrics.p50LatencyMs + metrics.p95LatencyMs) / 2
+      : null;
+    const costPer1K = observed && metrics.costPer1K !== null ? metrics.costPer1K : this.getProviderCost(provider);
+
+    const scores = {
+      quality: metrics.quality !== null ? metrics.quality : prior.quality / 10,
+      latency: latencyMs !== null ? 1 / (1 + latencyMs / 5000) : prior.speed / 10,
+      reliability: observed ? 1 - metrics.errorRate : 0.9,
+      // $0.01 per 1K tokens scores 0.5; free scores 1
+      cost: 1 / (1 + costPer1K / 0.01)
+    };
+
+    const score = Object.keys(scores).reduce((sum, signal) => sum + scores[signal] * (weights[signal] || 0), 0);
+    return { provider, score, scores, metrics, observed };
+  }
+
+  rankProviders(category, candidates) {
+    const weights = this.routingWeights[category] || this.routingWeights.default;
+    return candidates
+      .map((provider) => this.scoreProvider(provider, category, weights))
+      .sort((a, b) => b.score - a.score);
+  }
+
+  // Picks the best candidate for the category and logs why
+  selectForCategory(category, candidates) {
+    const ranking = this.rankProviders(category, candidates);
+    const best = ranking[0];
+    if (!best) {
+      return null;
+    }
+
+    const describe = (entry) => {
+      const { metrics } = entry;
+      const parts = [`score ${entry.score.toFixed(3)}`];
+      if (entry.observed) {
+        if (metrics.p50LatencyMs !== null) {
+          parts.push(`p50 ${metrics.p50LatencyMs}ms`, `p95 ${metrics.p95LatencyMs}ms`);
+        }
+        parts.push(`errors ${(metrics.errorRate * 100).toFixed(0)}%`);
+        if (metrics.costPer1K !== null) {
+          parts.push(`$${metrics.costPer1K.toFixed(4)}/1K`);
+        }
+      } else {
+        parts.push(`priors (${metrics.samples}/${this.minSamples} samples)`);
+      }
+      if (metrics.quality !== null) {
+        parts.push(`quality ${(metrics.quality * 100).toFixed(0)}%`);
+      }
+      return `${entry.provider}: ${parts.join(', ')}`;
+    };
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      category,
+      chosen: best.provider,
+      weights: this.routingWeights[category] || this.routingWeights.default,
+      ranking: ranking.map(({ provider, score, scores, metrics, observed }) => ({ provider, score, scores, metrics, observed })),
+      reason: ranking.map(describe).join('; ')
+    };
+
+    this.routingLog.push(entry);
+    if (this.routingLog.length > this.maxRoutingLogEntries) {
+      this.routingLog.shift();
+    }
+
+    console.log(`🧭 Routing ${category} to ${best.provider} (${entry.reason})`);
+    return best.provider;
+  }
+
+  getRoutingLog() {
+    return [...this.routingLog];
+  }
+
+  clearMetrics() {
+    this.metrics = {};
+    this.routingLog = [];
+    this.saveMetrics();
+  }
+}
+
+/**
+ * Usage Ledger
+ * Persistent per-day, per-project spend ledger for reconciling against invoices
+ */
+class UsageLedger {
+  constructor(storageKey = 'aiUsageLedger') {
+    this.storageKey = storageKey;
+    this.rows = this.load();
+  }
+
+  load() {
+    const stored = localStorage.getItem(this.storageKey);
+    if (!stored) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      console.warn('Corrupted usage ledger detected. Starting a new ledger.', error);
+      localStorage.removeItem(this.storageKey);
+      return {};
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.rows));
+    } catch (error) {
+      console.warn('Failed to persist usage ledger:', error);
+    }
+  }
+
+  formatDate(date) {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+  }
+
+  record({ provider, model, projectId, usage, cost = 0, duration = 0, error = false, timestamp = new Date() }) {
+    const date = this.formatDate(timestamp);
+    const project = projectId || 'default';
+    const key = [date, project, provider, model].join('|');
+
+    if (!this.rows[key]) {
+      this.rows[key] = {
+        date,
+        projectId: project,
+        provider,
+        model: model || '',
+        calls: 0,
+        errors: 0,
+        estimatedCalls: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        totalTokens: 0,
+        totalDuration: 0,
+        cost: 0
+      };
+    }
+
+    const row = this.rows[key];
+    if (error) {
+      row.errors++;
+    } else {
+      row.calls++;
+      row.promptTokens += usage.promptTokens;
+      row.completionTokens += usage.completionTokens;
+      row.totalTokens += usage.totalTokens;
+      row.totalDuration += duration;
+      row.cost += cost;
+      if (usage.estimated) {
+        row.estimatedCalls++;
+      }
+    }
+
+    this.save();
   }
 
-  async initialize(apiKey) {
-    this.apiKey = apiKey;
+  query({ from, to, projectId, provider, model } = {}) {
+    return Object.values(this.rows)
+      .filter((row) => (!from || row.date >= from) &&
+        (!to || row.date <= to) &&
+        (!projectId || row.projectId === projectId) &&
+        (!provider || row.provider === provider) &&
+        (!model || row.model === model))
+      .sort((a, b) => a.date.localeCompare(b.date) || a.projectId.localeCompare(b.projectId));
   }
 
-  async generate(prompt, options = {}) {
-    if (!this.apiKey) {
-      throw new Error('OpenAI API key not provided');
+  summarize(groupBy = 'date', filter = {}) {
+    const groups = {};
+
+    for (const row of this.query(filter)) {
+      const key = row[groupBy];
+      if (!groups[key]) {
+        groups[key] = { [groupBy]: key, calls: 0, errors: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+      }
+      const group = groups[key];
+      group.calls += row.calls;
+      group.errors += row.errors;
+      group.promptTokens += row.promptTokens;
+      group.completionTokens += row.completionTokens;
+      group.totalTokens += row.totalTokens;
+      group.cost += row.cost;
     }
 
-    const requestBody = {
-      model: options.model || this.model,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert software developer and coding assistant.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: options.temperature || 0.7,
-      max_tokens: options.maxTokens || 2048,
-      top_p: options.topP || 1,
-      frequency_penalty: options.frequencyPenalty || 0,
-      presence_penalty: options.presencePenalty || 0
+    return Object.values(groups);
+  }
+
+  getTotalCost(filter = {}) {
+    return this.query(filter).reduce((sum, row) => sum + row.cost, 0);
+  }
+
+  exportCsv(filter = {}) {
+    const columns = [
+      'date', 'projectId', 'provider', 'model', 'calls', 'errors', 'estimatedCalls',
+      'promptTokens', 'completionTokens', 'totalTokens', 'totalDuration', 'cost'
+    ];
+    const escape = (value) => {
+      const str = String(value ?? '');
+      return /[",\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
     };
 
+    const lines = this.query(filter).map((row) => columns
+      .map((column) => escape(column === 'cost' ? row.cost.toFixed(6) : row[column]))
+      .join(','));
+
+    return [columns.join(','), ...lines].join('\n');
+  }
+
+  clear() {
+    this.rows = {};
+    this.save();
+  }
+}
+
+/**
+ * Budgets
+ * Spend caps checked before each call. Limits are { tokens, cost } (USD)
+ * per budget day, per project and per agent:
+ *
+ *   budgetManager.setLimits({
+ *     daily: { tokens: 200000, cost: 2 },
+ *     projects: { 'todo-app': { cost: 5 }, '*': { cost: 1 } },
+ *     agents: { coder: { tokens: 100000 } },
+ *     timeZone: 'Europe/Berlin',
+ *     onExceeded: 'downgrade'
+ *   });
+ *
+ * Daily and agent caps count the current budget day, which starts at
+ * midnight in timeZone; project caps count the project's total unless they
+ * set period: 'day'. A call that would break a cap is rejected with a
+ * BudgetExceededError, or with onExceeded: 'downgrade' sent to the cheapest
+ * candidate that still fits. Listeners get 'budget-warning' events when a
+ * cap reaches 50, 80 and 100%, and 'budget-exceeded' / 'budget-downgrade'.
+ */
+const BUDGET_WARNING_THRESHOLDS = [50, 80, 100];
+const BUDGET_UNITS = ['tokens', 'cost'];
+
+class BudgetExceededError extends Error {
+  constructor(message, exceeded = []) {
+    super(message);
+    this.name = 'BudgetExceededError';
+    this.kind = 'budget';
+    this.exceeded = exceeded;
+  }
+}
+
+function formatBudgetAmount(unit, value) {
+  return unit === 'cost' ? `$${value.toFixed(2)}` : `${Math.round(value).toLocaleString()} tokens`;
+}
+
+class BudgetManager {
+  constructor({ storageKey = 'aiBudget', costOptimizer = null } = {}) {
+    this.limitsKey = `${storageKey}Limits`;
+    this.usageKey = `${storageKey}Usage`;
+    // Prices calls for callers without their own CostOptimizer
+    this.costOptimizer = costOptimizer || new CostOptimizer();
+    this.limits = this.loadLimits();
+    this.usage = this.loadUsage();
+    this.listeners = new Set();
+  }
+
+  loadLimits() {
+    const defaults = { daily: {}, projects: {}, agents: {}, timeZone: null, onExceeded: 'reject' };
+    const stored = localStorage.getItem(this.limitsKey);
+    if (!stored) {
+      return defaults;
+    }
+
     try {
-      const response = await fetch(this.baseUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify(requestBody)
-      });
+      return { ...defaults, ...JSON.parse(stored) };
+    } catch (error) {
+      console.warn('Corrupted budget limits detected. Using no limits.', error);
+      localStorage.removeItem(this.limitsKey);
+      return defaults;
+    }
+  }
 
-      if (!response.ok) {
-        const errorBody = await response.text();
-        let detail = response.statusText;
-        try {
-          const errorData = parseJsonLoose(errorBody);
-          detail = errorData.error?.message || errorData.message || detail;
-        } catch {
-          if (errorBody && errorBody.trim()) {
-            detail = errorBody.trim().slice(0, 300);
-          }
+  loadUsage() {
+    const empty = { day: null, daily: {}, total: {}, warned: {} };
+    const stored = localStorage.getItem(this.usageKey);
+    if (!stored) {
+      return empty;
+    }
+
+    try {
+      return { ...empty, ...JSON.parse(stored) };
+    } catch (error) {
+      console.warn('Corrupted budget usage detected. Starting fresh.', error);
+      localStorage.removeItem(this.usageKey);
+      return empty;
+    }
+  }
+
+  save() {
+    try {
+      localStorage.setItem(this.limitsKey, JSON.stringify(this.limits));
+      localStorage.setItem(this.usageKey, JSON.stringify(this.usage));
+    } catch (error) {
+      console.warn('Failed to persist budget:', error);
+    }
+  }
+
+  // Merges into the current limits; a scope set to null removes its cap
+  setLimits(limits = {}) {
+    if (limits.timeZone) {
+      // Throws a RangeError for unknown zones
+      new Intl.DateTimeFormat('en-US', { timeZone: limits.timeZone });
+    }
+    if (limits.onExceeded && !['reject', 'downgrade'].includes(limits.onExceeded)) {
+      throw new Error(`Unknown budget mode: ${limits.onExceeded} (use "reject" or "downgrade")`);
+    }
+
+    const merged = { ...this.limits, ...limits };
+    for (const group of ['projects', 'agents']) {
+      merged[group] = { ...this.limits[group], ...limits[group] };
+      for (const [name, limit] of Object.entries(merged[group])) {
+        if (!limit) {
+          delete merged[group][name];
         }
-        throw new Error(`OpenAI API error: ${response.status} ${detail}`);
       }
+    }
+    merged.daily = limits.daily === null ? {} : { ...this.limits.daily, ...limits.daily };
 
-      const rawBody = await response.text();
-      const data = parseJsonLoose(rawBody);
-      
-      if (data.choices && data.choices[0] && data.choices[0].message) {
-        return data.choices[0].message.content;
-      } else {
-        throw new Error('Invalid response format from OpenAI API');
+    this.limits = merged;
+    this.save();
+    return this.getLimits();
+  }
+
+  getLimits() {
+    return JSON.parse(JSON.stringify(this.limits));
+  }
+
+  hasLimits() {
+    const capped = (limit) => Boolean(limit && BUDGET_UNITS.some((unit) => limit[unit] > 0));
+    return capped(this.limits.daily) ||
+      Object.values(this.limits.projects).some(capped) ||
+      Object.values(this.limits.agents).some(capped);
+  }
+
+  // YYYY-MM-DD of the budget day in the configured time zone
+  getDay(date = new Date()) {
+    return new Intl.DateTimeFormat('en-CA', {
+      timeZone: this.limits.timeZone || undefined,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit'
+    }).format(date);
+  }
+
+  // Starts a new budget day once the time zone's midnight has passed
+  rollover(now = new Date()) {
+    const day = this.getDay(now);
+    if (this.usage.day === day) {
+      return;
+    }
+
+    if (this.usage.day) {
+      console.log(`📅 Budget day ${day} started; daily usage reset`);
+    }
+    this.usage.day = day;
+    this.usage.daily = {};
+    for (const key of Object.keys(this.usage.warned)) {
+      if (!key.startsWith('total:')) {
+        delete this.usage.warned[key];
+      }
+    }
+    this.save();
+  }
+
+  // Caps that apply to a call: [{ key, label, limit, period }]
+  getScopes({ projectId, agent } = {}) {
+    return [
+      this.getDailyScope(),
+      this.getProjectScope(projectId || 'default'),
+      agent ? this.getAgentScope(agent) : null
+    ].filter(Boolean);
+  }
+
+  getDailyScope() {
+    return { key: 'daily', label: 'daily budget', limit: this.limits.daily, period: 'day' };
+  }
+
+  getProjectScope(projectId) {
+    const limit = this.limits.projects[projectId] || this.limits.projects['*'];
+    return limit ? { key: `project:${projectId}`, label: `project "${projectId}" budget`, limit, period: limit.period || 'total' } : null;
+  }
+
+  getAgentScope(agent) {
+    const limit = this.limits.agents[agent] || this.limits.agents['*'];
+    return limit ? { key: `agent:${agent}`, label: `agent "${agent}" budget`, limit, period: limit.period || 'day' } : null;
+  }
+
+  getScopeUsage(scope) {
+    const bucket = scope.period === 'day' ? this.usage.daily : this.usage.total;
+    return bucket[scope.key] || { tokens: 0, cost: 0 };
+  }
+
+  // Tokens from the prompt plus the completion budget, priced for the provider's model
+  estimate(providerName, model, prompt, options = {}, costOptimizer = this.costOptimizer) {
+    const promptTokens = estimateTokenCount(conversationText(prompt)) + estimateTokenCount(options.system);
+    // What the provider will request, so a call fits the cap before it is sent
+    const completionTokens = options.maxTokens || DEFAULT_MAX_TOKENS;
+    const usage = { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens };
+    return { ...usage, cost: costOptimizer.calculateCost(providerName, model, usage) };
+  }
+
+  // { allowed, exceeded: [{ scope, label, period, unit, limit, used, projected }] } for a call's estimate
+  check(estimate, request = {}) {
+    this.rollover();
+    const exceeded = [];
+
+    for (const scope of this.getScopes(request)) {
+      const used = this.getScopeUsage(scope);
+      for (const unit of BUDGET_UNITS) {
+        const limit = scope.limit[unit];
+        const projected = used[unit] + (unit === 'cost' ? estimate.cost : estimate.totalTokens);
+        if (limit > 0 && projected > limit) {
+          exceeded.push({ scope: scope.key, label: scope.label, period: scope.period, unit, limit, used: used[unit], projected });
+        }
+      }
+    }
+
+    return { allowed: exceeded.length === 0, exceeded };
+  }
+
+  /**
+   * Orders [{ provider, estimate }] candidates for a call. Candidates that
+   * would break a cap are dropped; if that includes the first choice, 'reject'
+   * mode throws and 'downgrade' mode puts the cheapest fitting one first.
+   */
+  plan(candidates, request = {}) {
+    const checked = candidates.map((candidate) => ({ ...candidate, ...this.check(candidate.estimate, request) }));
+    const fitting = checked.filter((candidate) => candidate.allowed);
+
+    if (checked.length === 0 || checked[0].allowed) {
+      return fitting.map((candidate) => candidate.provider);
+    }
+
+    if (this.limits.onExceeded === 'downgrade' && fitting.length > 0) {
+      fitting.sort((a, b) => a.estimate.cost - b.estimate.cost);
+      const message = `Budget: ${checked[0].provider} would exceed the ${checked[0].exceeded[0].label}, using ${fitting[0].provider} instead`;
+      console.log(`💸 ${message}`);
+      this.notify({ type: 'budget-downgrade', from: checked[0].provider, to: fitting[0].provider, exceeded: checked[0].exceeded, message });
+      return fitting.map((candidate) => candidate.provider);
+    }
+
+    const [first] = checked[0].exceeded;
+    const message = `Budget exceeded: the ${first.label} allows ${formatBudgetAmount(first.unit, first.limit)}, ` +
+      `${formatBudgetAmount(first.unit, first.used)} used and this call needs about ${formatBudgetAmount(first.unit, first.projected - first.used)}`;
+    this.notify({ type: 'budget-exceeded', exceeded: checked[0].exceeded, message });
+    throw new BudgetExceededError(message, checked[0].exceeded);
+  }
+
+  // Counts a finished call against every cap it falls under
+  record({ projectId, agent, usage, cost = 0 }) {
+    if (!usage) {
+      return;
+    }
+
+    this.rollover();
+    for (const scope of this.getScopes({ projectId, agent })) {
+      const bucket = scope.period === 'day' ? this.usage.daily : this.usage.total;
+      const used = bucket[scope.key] || { tokens: 0, cost: 0 };
+      bucket[scope.key] = { tokens: used.tokens + usage.totalTokens, cost: used.cost + cost };
+      this.warnIfCrossed(scope, used, bucket[scope.key]);
+    }
+    this.save();
+  }
+
+  // One event per threshold and period, for the highest threshold just crossed
+  warnIfCrossed(scope, before, after) {
+    for (const unit of BUDGET_UNITS) {
+      const limit = scope.limit[unit];
+      if (!(limit > 0)) {
+        continue;
+      }
+
+      const warnedKey = `${scope.period === 'day' ? 'day' : 'total'}:${scope.key}:${unit}`;
+      const percent = after[unit] / limit * 100;
+      const threshold = BUDGET_WARNING_THRESHOLDS.filter((value) => percent >= value).pop();
+      if (!threshold || (this.usage.warned[warnedKey] || 0) >= threshold) {
+        continue;
+      }
+
+      this.usage.warned[warnedKey] = threshold;
+      const message = `${threshold >= 100 ? 'Reached' : `${threshold}% of`} the ${scope.label}: ` +
+        `${formatBudgetAmount(unit, after[unit])} of ${formatBudgetAmount(unit, limit)}`;
+      console.warn(`💰 ${message}`);
+      this.notify({ type: 'budget-warning', scope: scope.key, label: scope.label, unit, threshold, used: after[unit], limit, message });
+    }
+  }
+
+  // Usage against each configured cap: [{ scope, label, period, unit, used, limit, percent }]
+  getStatus() {
+    this.rollover();
+    const status = [];
+    const scopes = [
+      this.getDailyScope(),
+      ...Object.keys(this.limits.projects).filter((id) => id !== '*').map((id) => this.getProjectScope(id)),
+      ...Object.keys(this.limits.agents).filter((name) => name !== '*').map((name) => this.getAgentScope(name))
+    ];
+
+    for (const scope of scopes) {
+      const used = this.getScopeUsage(scope);
+      for (const unit of BUDGET_UNITS) {
+        if (scope.limit[unit] > 0) {
+          status.push({
+            scope: scope.key,
+            label: scope.label,
+            period: scope.period,
+            unit,
+            used: used[unit],
+            limit: scope.limit[unit],
+            percent: Math.round(used[unit] / scope.limit[unit] * 100)
+          });
+        }
+      }
+    }
+    return status;
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(event) {
+    for (const listener of this.listeners) {
+      try {
+        listener(event);
+      } catch (error) {
+        console.warn('Budget listener failed:', error);
       }
-    } catch (error) {
-      throw new Error(`OpenAI API call failed: ${error.message}`);
     }
   }
+
+  resetUsage() {
+    this.usage = { day: this.getDay(), daily: {}, total: {}, warned: {} };
+    this.save();
+  }
 }
 
+const budgetManager = new BudgetManager();
+
 /**
- * Anthropic Claude Provider
+ * Call hooks and tracing
+ * Middleware around every provider request:
+ *
+ *   aiProvider.use({
+ *     onRequest(call) {},          // before sending; may replace call.prompt / call.options
+ *     onResponse(call, result) {}, // result is { text, usage, finishReason, ... }
+ *     onError(call, error) {}      // the error is still thrown to the caller
+ *   });
+ *
+ * call is { id, provider, model, prompt, options, agent, taskId, projectId,
+ * stream, startedAt, latencyMs }. Hooks may be async; one that throws is
+ * logged and skipped. Each EnhancedAIProvider and agent AIProvider starts
+ * with traceRecorder's hooks installed.
  */
-class ClaudeProvider {
+const PROVIDER_HOOK_NAMES = ['onRequest', 'onResponse', 'onError'];
+
+class ProviderHooks {
   constructor() {
-    this.name = 'claude';
-    this.baseUrl = 'https://api.anthropic.com/v1/messages';
-    this.apiKey = null;
-    this.model = 'claude-3-sonnet-20240229';
+    this.handlers = { onRequest: [], onResponse: [], onError: [] };
   }
 
-  async initialize(apiKey) {
-    this.apiKey = apiKey;
+  // Takes any subset of the hook names; returns a function that removes them again
+  use(hooks) {
+    const added = PROVIDER_HOOK_NAMES.filter((name) => typeof hooks[name] === 'function');
+    if (added.length === 0) {
+      throw new Error(`Hooks need at least one of ${PROVIDER_HOOK_NAMES.join(', ')}`);
+    }
+
+    for (const name of added) {
+      this.handlers[name].push(hooks[name]);
+    }
+    return () => {
+      for (const name of added) {
+        this.handlers[name] = this.handlers[name].filter((handler) => handler !== hooks[name]);
+      }
+    };
   }
 
-  async generate(prompt, options = {}) {
-    if (!this.apiKey) {
-      throw new Error('Claude API key not provided');
+  async emit(name, ...args) {
+    for (const handler of this.handlers[name]) {
+      try {
+        await handler(...args);
+      } catch (error) {
+        console.warn(`${name} hook failed:`, error);
+      }
     }
+  }
 
-    const requestBody = {
-      model: options.model || this.model,
-      max_tokens: options.maxTokens || 2048,
-      temperature: options.temperature || 0.7,
-      system: 'You are an expert software developer and coding assistant.',
-      messages: [
-        {
-          role: 'user',
-          content: prompt
-        }
-      ]
+  // secrets (the API keys in play) are kept off the enumerable fields so hooks can't leak them by accident
+  createCall({ provider, model, prompt, options = {}, stream = false, secrets = [] }) {
+    const call = {
+      id: `call_${Date.now().toString(36)}_${Math.random().toString(36).substr(2, 6)}`,
+      provider,
+      model,
+      prompt,
+      options,
+      agent: options.agent || null,
+      taskId: options.taskId || null,
+      projectId: options.projectId || null,
+      stream,
+      startedAt: new Date().toISOString(),
+      latencyMs: null
     };
+    Object.defineProperty(call, 'secrets', { value: secrets.filter(Boolean) });
+    return call;
+  }
 
+  // Runs send(prompt, options) between onRequest and onResponse / onError
+  async run(details, send) {
+    const call = this.createCall(details);
+    const start = Date.now();
+    await this.emit('onRequest', call);
+
+    let result;
     try {
-      const response = await fetch(this.baseUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'x-api-key': this.apiKey,
-          'anthropic-version': '2023-06-01'
-        },
-        body: JSON.stringify(requestBody)
-      });
+      result = await send(call.prompt, call.options);
+    } catch (error) {
+      call.latencyMs = Date.now() - start;
+      await this.emit('onError', call, error);
+      throw error;
+    }
 
-      if (!response.ok) {
-        const errorBody = await response.text();
-        let detail = response.statusText;
-        try {
-          const errorData = parseJsonLoose(errorBody);
-          detail = errorData.error?.message || errorData.message || detail;
-        } catch {
-          if (errorBody && errorBody.trim()) {
-            detail = errorBody.trim().slice(0, 300);
-          }
-        }
-        throw new Error(`Claude API error: ${response.status} ${detail}`);
+    call.latencyMs = Date.now() - start;
+    await this.emit('onResponse', call, result);
+    return result;
+  }
+
+  // Streaming version of run(); onResponse gets the joined text once the stream ends
+  async *runStream(details, open) {
+    const call = this.createCall({ ...details, stream: true });
+    const start = Date.now();
+    await this.emit('onRequest', call);
+
+    let text = '';
+    let finishReason = null;
+    let usage = null;
+    let settled = false;
+    try {
+      for await (const chunk of open(call.prompt, call.options)) {
+        text += chunk.text || '';
+        finishReason = chunk.finishReason || finishReason;
+        usage = chunk.usage || usage;
+        yield chunk;
+      }
+      settled = true;
+      call.latencyMs = Date.now() - start;
+      await this.emit('onResponse', call, { text, finishReason, usage });
+    } catch (error) {
+      settled = true;
+      call.latencyMs = Date.now() - start;
+      await this.emit('onError', call, error);
+      throw error;
+    } finally {
+      // The caller stopped reading before the stream ended
+      if (!settled) {
+        call.latencyMs = Date.now() - start;
+        await this.emit('onError', call, new AbortError('Stream closed before it finished'));
+      }
+    }
+  }
+}
+
+// Option names whose values are credentials, wherever they appear in a traced value
+const SECRET_FIELD_PATTERN = /^(api[-_]?key|apikeys|authorization|x-api-key|x-goog-api-key|password|secret|access[-_]?token|token)$/i;
+// Key formats of the supported vendors, for keys pasted into prompts or URLs
+const SECRET_VALUE_PATTERN = /\b(sk-(?:ant-|proj-)?[A-Za-z0-9_-]{16,}|AIza[0-9A-Za-z_-]{30,}|hf_[A-Za-z0-9]{20,}|gsk_[A-Za-z0-9]{20,})|(Bearer\s+)[A-Za-z0-9._~+/-]{16,}/g;
+const REDACTED = '[REDACTED]';
+
+// A JSON-safe copy of value with API keys replaced, functions and signals dropped and long strings cut
+function redactSecrets(value, secrets = [], maxLength = Infinity, depth = 0) {
+  if (typeof value === 'string') {
+    let text = value.replace(SECRET_VALUE_PATTERN, (match, key, bearer) => (bearer ? `${bearer}${REDACTED}` : REDACTED));
+    for (const secret of secrets) {
+      text = text.split(secret).join(REDACTED);
+    }
+    return text.length > maxLength ? `${text.slice(0, maxLength)}… [${text.length - maxLength} more characters]` : text;
+  }
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' || typeof value === 'symbol' ? undefined : value;
+  }
+  if (depth > 8 || (typeof AbortSignal !== 'undefined' && value instanceof AbortSignal)) {
+    return undefined;
+  }
+  if (value instanceof Error) {
+    return { name: value.name, message: redactSecrets(value.message, secrets, maxLength) };
+  }
+  if (Array.isArray(value)) {
+    return value.map((item) => redactSecrets(item, secrets, maxLength, depth + 1));
+  }
+
+  const copy = {};
+  for (const [key, item] of Object.entries(value)) {
+    const redacted = SECRET_FIELD_PATTERN.test(key) ? REDACTED : redactSecrets(item, secrets, maxLength, depth + 1);
+    if (redacted !== undefined) {
+      copy[key] = redacted;
+    }
+  }
+  return copy;
+}
+
+/**
+ * Trace Recorder
+ * Keeps the last maxEntries provider calls in localStorage: prompt, options,
+ * provider, model, latency, usage and output (raw text, plus the parsed
+ * value when JSON was asked for), tagged with the agent and task that made
+ * them. Keys are redacted before anything is stored.
+ */
+class TraceRecorder {
+  constructor({ storageKey = 'aiTraces', maxEntries = 100, maxFieldLength = 8000 } = {}) {
+    this.storageKey = storageKey;
+    this.maxEntries = maxEntries;
+    // Long prompts and outputs are cut to keep localStorage within quota
+    this.maxFieldLength = maxFieldLength;
+    this.enabled = true;
+    this.traces = this.load();
+    // Calls started while recording was on
+    this.pending = new Set();
+    this.listeners = new Set();
+    this.hooks = {
+      onRequest: (call) => this.begin(call),
+      onResponse: (call, result) => this.finish(call, { result }),
+      onError: (call, error) => this.finish(call, { error })
+    };
+  }
+
+  load() {
+    const stored = localStorage.getItem(this.storageKey);
+    if (!stored) {
+      return [];
+    }
+
+    try {
+      return JSON.parse(stored);
+    } catch (error) {
+      console.warn('Corrupted trace log detected. Starting fresh.', error);
+      localStorage.removeItem(this.storageKey);
+      return [];
+    }
+  }
+
+  // Drops the oldest half when the log no longer fits in localStorage
+  save() {
+    while (this.traces.length > 0) {
+      try {
+        localStorage.setItem(this.storageKey, JSON.stringify(this.traces));
+        return;
+      } catch (error) {
+        console.warn('Trace log is over the storage quota, dropping old traces:', error);
+        this.traces = this.traces.slice(Math.ceil(this.traces.length / 2));
       }
+    }
+    localStorage.removeItem(this.storageKey);
+  }
 
-      const rawBody = await response.text();
-      const data = parseJsonLoose(rawBody);
-      
-      if (data.content && data.content[0] && data.content[0].text) {
-        return data.content[0].text;
-      } else {
-        throw new Error('Invalid response format from Claude API');
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+  }
+
+  redact(value, call) {
+    return redactSecrets(value, call.secrets, this.maxFieldLength);
+  }
+
+  begin(call) {
+    if (this.enabled) {
+      this.pending.add(call.id);
+    }
+  }
+
+  // Prompt and options are read here, after any later onRequest hook has changed them
+  finish(call, { result = null, error = null }) {
+    if (!this.pending.delete(call.id)) {
+      return;
+    }
+
+    const trace = {
+      id: call.id,
+      startedAt: call.startedAt,
+      provider: call.provider,
+      model: call.model,
+      agent: call.agent,
+      taskId: call.taskId,
+      projectId: call.projectId,
+      stream: call.stream,
+      prompt: this.redact(call.prompt, call),
+      options: this.redact(call.options, call),
+      latencyMs: call.latencyMs,
+      status: error ? (error instanceof AbortError ? 'cancelled' : 'error') : 'ok'
+    };
+    if (result) {
+      trace.model = result.model || trace.model;
+      trace.usage = result.usage || null;
+      trace.output = this.redact({
+        raw: result.text ?? '',
+        parsed: this.parseOutput(result.text, call.options),
+        finishReason: result.finishReason || null,
+        toolCalls: result.toolCalls && result.toolCalls.length ? result.toolCalls : undefined
+      }, call);
+    }
+    if (error) {
+      trace.error = this.redact({
+        name: error.name,
+        kind: error.kind || classifyProviderError(error),
+        status: error.status ?? null,
+        message: error.message
+      }, call);
+    }
+
+    this.traces.push(trace);
+    if (this.traces.length > this.maxEntries) {
+      this.traces = this.traces.slice(-this.maxEntries);
+    }
+    this.save();
+    this.notify(trace);
+  }
+
+  // Structured calls (responseFormat: 'json') also get the value they parse to
+  parseOutput(text, options = {}) {
+    if (options.responseFormat !== 'json' || typeof text !== 'string') {
+      return undefined;
+    }
+    try {
+      return parseJsonLoose(text);
+    } catch {
+      return null;
+    }
+  }
+
+  // Newest first; filter: { agent, taskId, projectId, provider, status }
+  list(filter = {}) {
+    return this.traces
+      .filter((trace) => Object.entries(filter).every(([key, value]) => value === undefined || value === null || value === '' || trace[key] === value))
+      .reverse();
+  }
+
+  get(id) {
+    return this.traces.find((trace) => trace.id === id) || null;
+  }
+
+  // One JSON trace per line, oldest first, for sharing or loading into other tools
+  toJSONL(filter = {}) {
+    return this.list(filter).reverse().map((trace) => JSON.stringify(trace)).join('\n');
+  }
+
+  clear() {
+    this.traces = [];
+    this.pending.clear();
+    localStorage.removeItem(this.storageKey);
+    this.notify(null);
+  }
+
+  subscribe(listener) {
+    this.listeners.add(listener);
+    return () => this.listeners.delete(listener);
+  }
+
+  notify(trace) {
+    for (const listener of this.listeners) {
+      try {
+        listener(trace);
+      } catch (error) {
+        console.warn('Trace listener failed:', error);
       }
-    } catch (error) {
-      throw new Error(`Claude API call failed: ${error.message}`);
     }
   }
 }
 
+const traceRecorder = new TraceRecorder();
+
 /**
- * Groq Provider
+ * IndexedDB helpers
  */
-class GroqProvider {
-  constructor() {
-    this.name = 'groq';
-    this.baseUrl = 'https://api.groq.com/openai/v1/chat/completions';
-    this.apiKey = null;
-    this.model = 'llama3-8b-8192';
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openIndexedDB(name, version, upgrade) {
+  const request = indexedDB.open(name, version);
+  request.onupgradeneeded = () => upgrade(request.result);
+  return idbRequest(request);
+}
+
+async function sha256Hex(str) {
+  if (typeof crypto === 'undefined' || !crypto.subtle) {
+    return hashString(str);
   }
+  const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(str));
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Response Cache
+ * Opt-in cache for complete() results, stored in IndexedDB (in memory where
+ * IndexedDB isn't available). Entries expire after ttlMs; past maxEntries or
+ * maxBytes the least recently used ones are evicted. Sampled requests
+ * (temperature > 0, or the provider default) are only cached with cacheSampled.
+ */
+const RESPONSE_CACHE_DB = 'aiResponseCache';
+const RESPONSE_CACHE_STORE = 'responses';
 
-  async initialize(apiKey) {
-    this.apiKey = apiKey;
+// Request options that change what a provider answers
+const CACHE_KEY_OPTIONS = ['temperature', 'maxTokens', 'topP', 'topK', 'stop', 'responseFormat', 'tools'];
+
+class ResponseCache {
+  constructor({ ttlMs = 7 * 24 * 60 * 60 * 1000, maxEntries = 500, maxBytes = 5 * 1024 * 1024, cacheSampled = false } = {}) {
+    this.ttlMs = ttlMs;
+    this.maxEntries = maxEntries;
+    this.maxBytes = maxBytes;
+    this.cacheSampled = cacheSampled;
+    this.memory = typeof indexedDB === 'undefined' ? new Map() : null;
+    this.dbPromise = null;
   }
 
-  async generate(prompt, options = {}) {
-    if (!this.apiKey) {
-      throw new Error('Groq API key not provided');
+  getDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = openIndexedDB(RESPONSE_CACHE_DB, 1, (db) => {
+        db.createObjectStore(RESPONSE_CACHE_STORE, { keyPath: 'key' });
+      });
     }
+    return this.dbPromise;
+  }
 
-    const requestBody = {
-      model: options.model || this.model,
-      messages: [
-        {
-          role: 'system',
-          content: 'You are an expert software developer and coding assistant.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      temperature: options.temperature || 0.7,
-      max_tokens: options.maxTokens || 2048
-    };
+  async withStore(mode, callback) {
+    const db = await this.getDatabase();
+    return await callback(db.transaction(RESPONSE_CACHE_STORE, mode).objectStore(RESPONSE_CACHE_STORE));
+  }
 
-    try {
-      const response = await fetch(this.baseUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify(requestBody)
-      });
+  /**
+   * 'bypass' skips the cache, 'refresh' skips the lookup but stores the new
+   * response, 'use' does both. Returns null when the request isn't cacheable.
+   */
+  getMode(options = {}) {
+    if (options.cache === 'bypass') {
+      return null;
+    }
+    const sampled = options.temperature === undefined || options.temperature > 0;
+    if (sampled && !(options.cacheSampled ?? this.cacheSampled)) {
+      return null;
+    }
+    return options.cache === 'refresh' ? 'refresh' : 'use';
+  }
 
-      if (!response.ok) {
-        const errorBody = await response.text();
-        let detail = response.statusText;
-        try {
-          const errorData = parseJsonLoose(errorBody);
-          detail = errorData.error?.message || errorData.message || detail;
-        } catch {
-          if (errorBody && errorBody.trim()) {
-            detail = errorBody.trim().slice(0, 300);
-          }
-        }
-        throw new Error(`Groq API error: ${response.status} ${detail}`);
-      }
+  async createKey(provider, model, prompt, options = {}) {
+    const sampling = {};
+    for (const key of CACHE_KEY_OPTIONS) {
+      sampling[key] = options[key];
+    }
+    const { system, messages } = normalizeConversation(prompt, options);
+    return await sha256Hex(stableStringify({ provider, model, system, messages, sampling }));
+  }
 
-      const rawBody = await response.text();
-      const data = parseJsonLoose(rawBody);
-      
-      if (data.choices && data.choices[0] && data.choices[0].message) {
-        return data.choices[0].message.content;
-      } else {
-        throw new Error('Invalid response format from Groq API');
-      }
-    } catch (error) {
-      throw new Error(`Groq API call failed: ${error.message}`);
+  async get(key) {
+    const entry = this.memory
+      ? this.memory.get(key)
+      : await this.withStore('readonly', (store) => idbRequest(store.get(key)));
+
+    if (!entry) {
+      return null;
     }
+    if (entry.expiresAt <= Date.now()) {
+      await this.delete(key);
+      return null;
+    }
+
+    entry.accessedAt = Date.now();
+    await this.write(entry);
+    return JSON.parse(entry.result);
   }
-}
 
-/**
- * Hugging Face Provider
- */
-class HuggingFaceProvider {
-  constructor() {
-    this.name = 'huggingface';
-    this.baseUrl = 'https://api-inference.huggingface.co/models';
-    this.apiKey = null;
-    this.model = 'microsoft/DialoGPT-medium';
+  async set(key, result, meta = {}) {
+    const serialized = JSON.stringify(result);
+    const now = Date.now();
+    await this.write({
+      key,
+      provider: meta.provider,
+      model: meta.model,
+      result: serialized,
+      size: serialized.length,
+      createdAt: now,
+      accessedAt: now,
+      expiresAt: now + this.ttlMs
+    });
+    await this.prune();
   }
 
-  async initialize(apiKey) {
-    this.apiKey = apiKey;
+  async write(entry) {
+    if (this.memory) {
+      this.memory.set(entry.key, entry);
+      return;
+    }
+    await this.withStore('readwrite', (store) => idbRequest(store.put(entry)));
   }
 
-  async generate(prompt, options = {}) {
-    if (!this.apiKey) {
-      throw new Error('Hugging Face API key not provided');
+  async delete(key) {
+    if (this.memory) {
+      this.memory.delete(key);
+      return;
     }
+    await this.withStore('readwrite', (store) => idbRequest(store.delete(key)));
+  }
 
-    const url = `${this.baseUrl}/${options.model || this.model}`;
-    
-    const requestBody = {
-      inputs: prompt,
-      parameters: {
-        max_length: options.maxTokens || 2048,
-        temperature: options.temperature || 0.7,
-        do_sample: true
-      }
-    };
+  async entries() {
+    if (this.memory) {
+      return Array.from(this.memory.values());
+    }
+    return await this.withStore('readonly', (store) => idbRequest(store.getAll()));
+  }
 
-    try {
-      const response = await fetch(url, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${this.apiKey}`
-        },
-        body: JSON.stringify(requestBody)
-      });
+  // Drops expired entries, then the least recently used until within limits
+  async prune() {
+    const now = Date.now();
+    const entries = (await this.entries()).sort((a, b) => a.accessedAt - b.accessedAt);
+    let live = entries.filter((entry) => entry.expiresAt > now);
+    const removed = entries.filter((entry) => entry.expiresAt <= now);
+    let totalBytes = live.reduce((sum, entry) => sum + entry.size, 0);
 
-      if (!response.ok) {
-        const errorBody = await response.text();
-        let detail = response.statusText;
-        try {
-          const errorData = parseJsonLoose(errorBody);
-          detail = errorData.error || errorData.message || detail;
-        } catch {
-          if (errorBody && errorBody.trim()) {
-            detail = errorBody.trim().slice(0, 300);
-          }
-        }
-        throw new Error(`Hugging Face API error: ${response.status} ${detail}`);
-      }
+    while (live.length > 0 && (live.length > this.maxEntries || totalBytes > this.maxBytes)) {
+      const oldest = live.shift();
+      totalBytes -= oldest.size;
+      removed.push(oldest);
+    }
 
-      const rawBody = await response.text();
-      const data = parseJsonLoose(rawBody);
-      
-      if (Array.isArray(data) && data[0] && data[0].generated_text) {
-        return data[0].generated_text;
-      } else {
-        throw new Error('Invalid response format from Hugging Face API');
-      }
-    } catch (error) {
-      throw new Error(`Hugging Face API call failed: ${error.message}`);
+    for (const entry of removed) {
+      await this.delete(entry.key);
+    }
+    return removed.length;
+  }
+
+  async getInfo() {
+    const entries = await this.entries();
+    return {
+      entries: entries.length,
+      bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+      maxEntries: this.maxEntries,
+      maxBytes: this.maxBytes,
+      ttlMs: this.ttlMs
+    };
+  }
+
+  async clear() {
+    if (this.memory) {
+      this.memory.clear();
+      return;
     }
+    await this.withStore('readwrite', (store) => idbRequest(store.clear()));
   }
 }
 
 /**
- * Ollama Provider (Local)
+ * Embeddings
+ * Providers with the 'embeddings' capability implement
+ * embed(texts, options) -> { vectors, model, usage }. HashingEmbedder is the
+ * offline fallback: hashed word and bigram counts, so similar wording gives
+ * similar vectors without any model.
  */
-class OllamaProvider {
-  constructor() {
-    this.name = 'ollama';
-    this.baseUrl = 'http://localhost:11434/api/generate';
-    this.model = 'llama2';
+function meanPool(tokenVectors) {
+  const pooled = new Array(tokenVectors[0].length).fill(0);
+  for (const vector of tokenVectors) {
+    for (let i = 0; i < pooled.length; i++) {
+      pooled[i] += vector[i] / tokenVectors.length;
+    }
   }
+  return pooled;
+}
 
-  async initialize() {
-    // No API key needed for local Ollama
+function cosineSimilarity(a, b) {
+  if (!a || !b || a.length !== b.length) {
+    return 0;
   }
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
 
-  async generate(prompt, options = {}) {
-    const requestBody = {
-      model: options.model || this.model,
-      prompt: prompt,
-      stream: false,
-      options: {
-        temperature: options.temperature || 0.7,
-        num_predict: options.maxTokens || 2048
-      }
-    };
+const EMBEDDING_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is', 'it',
+  'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was', 'with'
+]);
 
-    try {
-      const response = await fetch(this.baseUrl, {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(requestBody)
-      });
+class HashingEmbedder {
+  constructor({ dimensions = 512 } = {}) {
+    this.name = 'hashing';
+    this.dimensions = dimensions;
+    this.model = `hashing-${dimensions}`;
+  }
 
-      if (!response.ok) {
-        const errorBody = await response.text();
-        const detail = errorBody && errorBody.trim() ? errorBody.trim().slice(0, 300) : response.statusText;
-        throw new Error(`Ollama API error: ${response.status} ${detail}`);
-      }
+  tokenize(text) {
+    return String(text ?? '')
+      // Split camelCase and snake_case identifiers into words
+      .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+      .toLowerCase()
+      .split(/[^a-z0-9]+/)
+      .filter((token) => token.length > 1 && !EMBEDDING_STOP_WORDS.has(token))
+      // Crude stemming: "users" and "user", "logging" and "logged" end up close
+      .map((token) => (token.length > 4 ? token.replace(/(ations?|ings?|ed|es|s)$/, '') : token));
+  }
 
-      const rawBody = await response.text();
-      const data = parseOllamaResponse(rawBody);
-      
-      if (data.response) {
-        return data.response;
-      } else {
-        throw new Error('Invalid response format from Ollama API');
+  embedText(text) {
+    const tokens = this.tokenize(text);
+    const features = [...tokens];
+    for (let i = 0; i < tokens.length - 1; i++) {
+      features.push(`${tokens[i]} ${tokens[i + 1]}`);
+    }
+    // Shared prefixes match abbreviations such as "auth" and "authentication"
+    for (const token of tokens) {
+      if (token.length >= 4) {
+        features.push(`prefix:${token.substring(0, 4)}`);
       }
-    } catch (error) {
-      throw new Error(`Ollama API call failed: ${error.message}. Make sure Ollama is running locally.`);
     }
+
+    const counts = {};
+    for (const feature of features) {
+      counts[feature] = (counts[feature] || 0) + 1;
+    }
+
+    const vector = new Array(this.dimensions).fill(0);
+    for (const [feature, count] of Object.entries(counts)) {
+      const hash = parseInt(hashString(feature), 16);
+      // The top bit picks a sign so collisions tend to cancel out
+      const sign = hash & 0x80000000 ? -1 : 1;
+      vector[hash % this.dimensions] += sign * (1 + Math.log(count));
+    }
+
+    const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+    return norm ? vector.map((value) => value / norm) : vector;
+  }
+
+  async embed(texts) {
+    return { vectors: texts.map((text) => this.embedText(text)), model: this.model, usage: null };
   }
 }
 
 /**
- * Cost Optimizer
+ * Vector Store
+ * Texts with metadata and their embeddings, persisted to IndexedDB (in memory
+ * where IndexedDB isn't available) and searched by cosine similarity.
+ * `embedder` is anything with embed(texts), e.g. an EnhancedAIProvider or a
+ * HashingEmbedder. Entries embedded by a different model are re-embedded on
+ * the next search, since vectors from different models can't be compared.
  */
-class CostOptimizer {
-  constructor() {
-    this.providerCosts = {
-      gemini: { cost: 0, speed: 8, quality: 9 },
-      openai: { cost: 0.15, speed: 7, quality: 10 },
-      claude: { cost: 3.00, speed: 6, quality: 10 },
-      groq: { cost: 0.20, speed: 10, quality: 7 },
-      huggingface: { cost: 0, speed: 5, quality: 6 },
-      ollama: { cost: 0, speed: 4, quality: 6 }
-    };
+const VECTOR_STORE_DB = 'aiVectorStore';
+const VECTOR_STORE_STORE = 'vectors';
+
+class VectorStore {
+  constructor({ namespace = 'default', embedder = new HashingEmbedder() } = {}) {
+    this.namespace = namespace;
+    this.embedder = embedder;
+    this.memory = typeof indexedDB === 'undefined' ? new Map() : null;
+    this.dbPromise = null;
   }
 
-  getCheapestProvider() {
-    const sorted = Object.entries(this.providerCosts)
-      .sort(([,a], [,b]) => a.cost - b.cost);
-    return sorted[0][0];
+  getDatabase() {
+    if (!this.dbPromise) {
+      this.dbPromise = openIndexedDB(VECTOR_STORE_DB, 1, (db) => {
+        const store = db.createObjectStore(VECTOR_STORE_STORE, { keyPath: 'key' });
+        store.createIndex('namespace', 'namespace');
+      });
+    }
+    return this.dbPromise;
   }
 
-  getFastestProvider() {
-    const sorted = Object.entries(this.providerCosts)
-      .sort(([,a], [,b]) => b.speed - a.speed);
-    return sorted[0][0];
+  async withStore(mode, callback) {
+    const db = await this.getDatabase();
+    return await callback(db.transaction(VECTOR_STORE_STORE, mode).objectStore(VECTOR_STORE_STORE));
   }
 
-  getBestQualityProvider() {
-    const sorted = Object.entries(this.providerCosts)
-      .sort(([,a], [,b]) => b.quality - a.quality);
-    return sorted[0][0];
+  async entries() {
+    if (this.memory) {
+      return Array.from(this.memory.values());
+    }
+    return await this.withStore('readonly', (store) => idbRequest(store.index('namespace').getAll(this.namespace)));
   }
 
-  getBalancedProvider() {
-    // Weighted score: quality * 0.5 + speed * 0.3 + (1/cost) * 0.2
-    const scored = Object.entries(this.providerCosts).map(([name, metrics]) => {
-      const costScore = metrics.cost === 0 ? 10 : 1 / metrics.cost;
-      const score = metrics.quality * 0.5 + metrics.speed * 0.3 + costScore * 0.2;
-      return [name, score];
-    });
-    
-    const sorted = scored.sort(([,a], [,b]) => b - a);
-    return sorted[0][0];
+  async write(entries) {
+    if (this.memory) {
+      for (const entry of entries) {
+        this.memory.set(entry.key, entry);
+      }
+      return;
+    }
+    await this.withStore('readwrite', (store) => Promise.all(entries.map((entry) => idbRequest(store.put(entry)))));
+  }
+
+  // items: [{ id, text, metadata }]; an existing id is replaced
+  async add(items) {
+    if (items.length === 0) {
+      return [];
+    }
+
+    const { vectors, model } = await this.embedder.embed(items.map((item) => item.text));
+    const entries = items.map((item, index) => ({
+      key: `${this.namespace}|${item.id}`,
+      id: item.id,
+      namespace: this.namespace,
+      text: item.text,
+      metadata: item.metadata || {},
+      vector: vectors[index],
+      model,
+      addedAt: Date.now()
+    }));
+
+    await this.write(entries);
+    return entries.map((entry) => entry.id);
+  }
+
+  async search(query, { topK = 5, minScore = 0, filter = null } = {}) {
+    const { vectors: [queryVector], model } = await this.embedder.embed([query]);
+    let entries = await this.entries();
+    if (filter) {
+      entries = entries.filter((entry) => filter(entry.metadata, entry));
+    }
+
+    const stale = entries.filter((entry) => entry.model !== model);
+    if (stale.length > 0) {
+      const { vectors } = await this.embedder.embed(stale.map((entry) => entry.text));
+      stale.forEach((entry, index) => {
+        entry.vector = vectors[index];
+        entry.model = model;
+      });
+      await this.write(stale);
+    }
+
+    return entries
+      .map((entry) => ({ id: entry.id, text: entry.text, metadata: entry.metadata, score: cosineSimilarity(queryVector, entry.vector) }))
+      .filter((result) => result.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, topK);
+  }
+
+  async delete(id) {
+    const key = `${this.namespace}|${id}`;
+    if (this.memory) {
+      this.memory.delete(key);
+      return;
+    }
+    await this.withStore('readwrite', (store) => idbRequest(store.delete(key)));
+  }
+
+  async clear() {
+    const entries = await this.entries();
+    if (this.memory) {
+      this.memory.clear();
+      return;
+    }
+    await this.withStore('readwrite', (store) => Promise.all(entries.map((entry) => idbRequest(store.delete(entry.key)))));
   }
 }
 
@@ -776,110 +7056,53 @@ class CodeGenerationSpecialist {
   }
 
   async generateReactComponent(name, props, features) {
-    const prompt = `
-Generate a React component named ${name} with the following specifications:
+    const { text, template } = promptLibrary.render('specialist.react-component', { name, props, features });
 
-Props: ${JSON.stringify(props)}
-Features: ${JSON.stringify(features)}
+    return await this.aiProvider.generateCode(text, {
+      projectType: 'React Application',
+      techStack: { frontend: 'react', typescript: true }
+    }, { templates: [template] });
+  }
 
-Requirements:
-1. Use functional components with hooks
-2. Include TypeScript types
-3. Follow React best practices
-4. Include proper error handling
-5. Make it responsive
-6. Include accessibility features
-7. Add comprehensive comments
+  // images: mockups or screenshots as image parts (see createImagePart / readImageFile)
+  async generateComponentFromImage(images, { name = 'MockupComponent', props = {}, notes = '' } = {}) {
+    if (!images || images.length === 0) {
+      throw new Error('At least one image is required');
+    }
 
-Generate complete, production-ready code.
-`;
+    const { text, template } = promptLibrary.render('specialist.component-from-image', { name, props, notes });
 
-    return await this.aiProvider.generateCode(prompt, {
+    return await this.aiProvider.generateCode(text, {
       projectType: 'React Application',
       techStack: { frontend: 'react', typescript: true }
-    });
+    }, { templates: [template], images });
   }
 
   async generateExpressAPI(endpoints, features) {
-    const prompt = `
-Generate an Express.js API with the following specifications:
+    const { text, template } = promptLibrary.render('specialist.express-api', { endpoints, features });
 
-Endpoints: ${JSON.stringify(endpoints)}
-Features: ${JSON.stringify(features)}
-
-Requirements:
-1. Use Express.js with proper middleware
-2. Include input validation
-3. Add error handling
-4. Include authentication middleware
-5. Add rate limiting
-6. Include CORS configuration
-7. Add logging
-8. Include API documentation
-9. Add database integration
-10. Follow RESTful principles
-
-Generate complete, production-ready code.
-`;
-
-    return await this.aiProvider.generateCode(prompt, {
+    return await this.aiProvider.generateCode(text, {
       projectType: 'Node.js API',
       techStack: { backend: 'nodejs', framework: 'express' }
-    });
+    }, { templates: [template] });
   }
 
   async generateDatabaseSchema(entities, relationships) {
-    const prompt = `
-Generate a database schema with the following specifications:
-
-Entities: ${JSON.stringify(entities)}
-Relationships: ${JSON.stringify(relationships)}
-
-Requirements:
-1. Use SQL DDL statements
-2. Include proper indexes
-3. Add foreign key constraints
-4. Include data validation
-5. Add comments for each table/column
-6. Consider performance optimization
-7. Include migration scripts
-8. Add sample data
+    const { text, template } = promptLibrary.render('specialist.database-schema', { entities, relationships });
 
-Generate complete, production-ready database schema.
-`;
-
-    return await this.aiProvider.generateCode(prompt, {
+    return await this.aiProvider.generateCode(text, {
       projectType: 'Database Schema',
       techStack: { database: 'postgresql' }
-    });
+    }, { templates: [template] });
   }
 
   async generateTests(code, testType = 'unit') {
-    const prompt = `
-Generate ${testType} tests for the following code:
-
-Code:
-\`\`\`
-${code}
-\`\`\`
-
-Requirements:
-1. Use Jest testing framework
-2. Test all functions/methods
-3. Include edge cases
-4. Test error scenarios
-5. Include setup/teardown
-6. Add meaningful test descriptions
-7. Ensure good coverage
-8. Mock external dependencies
-
-Generate comprehensive, production-ready tests.
-`;
+    const { text, template } = promptLibrary.render('specialist.tests', { code, testType });
 
-    return await this.aiProvider.generateTests(prompt, {
+    return await this.aiProvider.generateTests(text, {
       testType: testType,
       framework: 'jest'
-    });
+    }, { templates: [template] });
   }
 }
 
@@ -1026,5 +7249,37 @@ class ProjectTemplates {
 
 // Export classes
 window.EnhancedAIProvider = EnhancedAIProvider;
+window.ProviderRegistry = ProviderRegistry;
+window.providerRegistry = providerRegistry;
+window.AbortError = AbortError;
+window.ProviderError = ProviderError;
+window.AuthError = AuthError;
+window.RateLimitError = RateLimitError;
+window.QuotaExceededError = QuotaExceededError;
+window.ContentFilterError = ContentFilterError;
+window.ContextLengthError = ContextLengthError;
+window.NetworkError = NetworkError;
+window.InvalidResponseError = InvalidResponseError;
+window.MockProvider = MockProvider;
+window.mockProvider = mockProvider;
+window.CassetteProvider = CassetteProvider;
+window.ResponseCache = ResponseCache;
+window.PromptBudgeter = PromptBudgeter;
+window.MODEL_CATALOG = MODEL_CATALOG;
+window.PromptLibrary = PromptLibrary;
+window.promptLibrary = promptLibrary;
+window.ProviderHealthMonitor = ProviderHealthMonitor;
+window.ApiKeyPool = ApiKeyPool;
+window.BudgetManager = BudgetManager;
+window.BudgetExceededError = BudgetExceededError;
+window.budgetManager = budgetManager;
+window.ProviderHooks = ProviderHooks;
+window.TraceRecorder = TraceRecorder;
+window.traceRecorder = traceRecorder;
+window.createImagePart = createImagePart;
+window.readImageFile = readImageFile;
+window.providerHealthMonitor = providerHealthMonitor;
+window.HashingEmbedder = HashingEmbedder;
+window.VectorStore = VectorStore;
 window.CodeGenerationSpecialist = CodeGenerationSpecialist;
 window.ProjectTemplates = ProjectTemplates;
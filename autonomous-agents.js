@@ -4,7 +4,10 @@
  */
 
 class AutonomousAgentSystem {
-  constructor() {
+  // options.provider picks the AI provider every agent uses, e.g. 'mock' to run offline.
+  // options.cache turns on a shared ResponseCache (true, or its options), so
+  // boilerplate files generated with the same prompt aren't paid for twice.
+  constructor(options = {}) {
     this.agents = {
       planner: new ProjectPlannerAgent(),
       frontend: new FrontendAgent(),
@@ -16,11 +19,14 @@ class AutonomousAgentSystem {
       learning: new LearningAgent()
     };
     
-    this.orchestrator = new AgentOrchestrator(this.agents);
-    this.projectContext = new ProjectContextManager();
     this.knowledgeBase = new KnowledgeBase();
+    this.orchestrator = new AgentOrchestrator(this.agents, { knowledgeBase: this.knowledgeBase });
+    this.projectContext = new ProjectContextManager();
     this.isRunning = false;
     this.currentProject = null;
+    this.abortController = null;
+    this.providerName = options.provider || null;
+    this.responseCache = options.cache ? new ResponseCache(options.cache === true ? {} : options.cache) : null;
   }
 
   async initialize() {
@@ -31,6 +37,18 @@ class AutonomousAgentSystem {
       await agent.initialize();
       console.log(`✅ ${name} agent initialized`);
     }
+
+    if (this.providerName) {
+      this.useProvider(this.providerName);
+    }
+
+    for (const [name, agent] of Object.entries(this.agents)) {
+      if (agent.aiProvider) {
+        agent.aiProvider.responseCache = this.responseCache;
+        // Tags the agent's calls for per-agent budget caps
+        agent.aiProvider.defaultOptions.agent = name;
+      }
+    }
     
     // Load knowledge base
     await this.knowledgeBase.load();
@@ -39,12 +57,62 @@ class AutonomousAgentSystem {
     console.log('🎯 Autonomous Agent System ready!');
   }
 
+  async start() {
+    if (!this.isRunning) {
+      await this.initialize();
+    }
+  }
+
+  async stop() {
+    this.cancel();
+    this.isRunning = false;
+    console.log('⏸ Autonomous Agent System stopped');
+  }
+
+  // Aborts the build in progress, including any AI request still in flight
+  cancel() {
+    if (this.abortController) {
+      this.abortController.abort();
+    }
+  }
+
+  useProvider(name) {
+    this.providerName = name;
+    for (const agent of Object.values(this.agents)) {
+      if (agent.aiProvider) {
+        agent.aiProvider.currentProvider = name;
+      }
+    }
+  }
+
+  setSignal(signal) {
+    for (const agent of Object.values(this.agents)) {
+      if (agent.aiProvider) {
+        agent.aiProvider.setSignal(signal);
+      }
+    }
+  }
+
+  // Calls made while building a project count against that project's budget
+  setProjectId(projectId) {
+    for (const agent of Object.values(this.agents)) {
+      if (agent.aiProvider) {
+        agent.aiProvider.defaultOptions.projectId = projectId || undefined;
+      }
+    }
+  }
+
   async buildApp(requirements) {
     if (!this.isRunning) {
       throw new Error('Agent system not initialized');
     }
 
     console.log('🎯 Starting autonomous app build...');
+
+    const abortController = new AbortController();
+    this.abortController = abortController;
+    this.setSignal(abortController.signal);
+    this.setProjectId(requirements.projectId || requirements.name);
     
     try {
       // 1. Analyze requirements and create project plan
@@ -55,7 +123,7 @@ class AutonomousAgentSystem {
       await this.projectContext.initializeProject(projectPlan);
       
       // 3. Execute project using orchestrator
-      const result = await this.orchestrator.executeProject(projectPlan);
+      const result = await this.orchestrator.executeProject(projectPlan, { signal: abortController.signal });
       
       // 4. Learn from execution
       await this.agents.learning.learnFromExecution(result);
@@ -64,9 +132,19 @@ class AutonomousAgentSystem {
       return result;
       
     } catch (error) {
+      if (error instanceof AbortError) {
+        console.log('⏹ App build cancelled');
+        throw error;
+      }
       console.error('❌ App build failed:', error);
       await this.agents.learning.learnFromFailure(error);
       throw error;
+    } finally {
+      if (this.abortController === abortController) {
+        this.abortController = null;
+        this.setSignal(null);
+        this.setProjectId(null);
+      }
     }
   }
 
@@ -91,6 +169,60 @@ class AutonomousAgentSystem {
   }
 }
 
+/**
+ * JSON Schemas for the planner's structured AI responses
+ */
+const REQUIREMENTS_ANALYSIS_SCHEMA = {
+  type: 'object',
+  required: ['name', 'description', 'requirements'],
+  properties: {
+    name: { type: 'string', minLength: 1 },
+    description: { type: 'string' },
+    requirements: {
+      type: 'object',
+      required: ['features'],
+      properties: {
+        features: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            required: ['name', 'description'],
+            properties: {
+              name: { type: 'string', minLength: 1 },
+              description: { type: 'string' },
+              priority: { enum: ['high', 'medium', 'low'] },
+              estimatedTime: { type: 'string', description: 'e.g. "2 hours"' },
+              dependencies: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        },
+        userTypes: { type: 'array', items: { type: 'string' } },
+        dataRequirements: { type: 'array', items: { type: 'string' } },
+        integrations: { type: 'array', items: { type: 'string' } },
+        performance: { type: 'array', items: { type: 'string' } },
+        security: { type: 'array', items: { type: 'string' } },
+        deployment: { type: 'string' },
+        keywords: { type: 'array', items: { type: 'string' } }
+      }
+    }
+  }
+};
+
+const TECH_STACK_SCHEMA = {
+  type: 'object',
+  required: ['frontend', 'backend', 'database', 'deployment'],
+  properties: {
+    frontend: { type: 'string', description: 'Lowercase id, e.g. "react", "vue", "angular"' },
+    backend: { type: 'string', description: 'Lowercase id, e.g. "nodejs", "python", "java"' },
+    database: { type: 'string', description: 'Lowercase id, e.g. "postgresql", "mongodb"' },
+    authentication: { type: 'string' },
+    deployment: { type: 'string', description: 'Lowercase id, e.g. "docker", "vercel", "aws"' },
+    testing: { type: 'string' },
+    styling: { type: 'string' }
+  }
+};
+
 /**
  * Project Planner Agent - Analyzes requirements and creates project plans
  */
@@ -103,13 +235,16 @@ class ProjectPlannerAgent {
   async initialize() {
     // Initialize AI provider
     this.aiProvider = new AIProvider();
+    // Routing category the planner's calls are recorded under (see CostOptimizer.routingWeights)
+    this.aiProvider.defaultOptions.category = 'planning';
   }
 
   async createProjectPlan(requirements) {
     console.log('📋 Creating project plan...');
     
     // Analyze requirements using AI
-    const analysis = await this.analyzeRequirements(requirements);
+    const promptTemplates = [];
+    const analysis = await this.analyzeRequirements(requirements, promptTemplates);
     
     // Select technology stack
     const techStack = await this.selectTechnologyStack(analysis);
@@ -132,31 +267,18 @@ class ProjectPlannerAgent {
       tasks: tasks,
       timeline: timeline,
       requirements: analysis.requirements,
+      // Template id/version of the prompts behind this plan
+      promptTemplates: promptTemplates,
       createdAt: new Date()
     };
   }
 
-  async analyzeRequirements(requirements) {
-    const prompt = `
-    Analyze the following app requirements and extract key information:
+  // Pushes the tag of the prompt template used onto promptTemplates
+  async analyzeRequirements(requirements, promptTemplates = []) {
+    const { text, template } = promptLibrary.render('planner.analyze-requirements', { requirements });
+    promptTemplates.push(template);
     
-    Requirements: ${JSON.stringify(requirements)}
-    
-    Extract:
-    1. App name and description
-    2. Core features and functionality
-    3. User types and roles
-    4. Data requirements
-    5. Integration needs
-    6. Performance requirements
-    7. Security requirements
-    8. Deployment preferences
-    
-    Respond in JSON format.
-    `;
-    
-    const response = await this.aiProvider.generate(prompt);
-    return this.parseJsonResponse(response, 'requirements analysis');
+    return await this.aiProvider.generateStructured(text, REQUIREMENTS_ANALYSIS_SCHEMA, { templates: [template] });
   }
 
   async selectTechnologyStack(analysis) {
@@ -173,12 +295,9 @@ class ProjectPlannerAgent {
     - Deployment (Vercel, AWS, etc.)
     - Testing framework
     - Styling (Tailwind, Material-UI, etc.)
-    
-    Respond with a JSON object containing the recommended stack.
     `;
     
-    const response = await this.aiProvider.generate(prompt);
-    return this.parseJsonResponse(response, 'technology stack selection');
+    return await this.aiProvider.generateStructured(prompt, TECH_STACK_SCHEMA);
   }
 
   async createProjectStructure(analysis, techStack) {
@@ -321,7 +440,7 @@ class ProjectPlannerAgent {
     });
     
     // Feature implementation tasks
-    for (const feature of analysis.requirements.features) {
+    for (const feature of analysis.requirements?.features || []) {
       tasks.push({
         id: `feature-${feature.name.toLowerCase().replace(/\s+/g, '-')}`,
         name: `Implement ${feature.name}`,
@@ -379,114 +498,6 @@ class ProjectPlannerAgent {
   generateProjectId() {
     return 'proj_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
   }
-
-  parseJsonResponse(response, context) {
-    if (typeof response !== 'string') {
-      console.error('AI provider returned a non-string response.', {
-        context,
-        responseType: typeof response
-      });
-      throw new Error(`AI provider returned invalid JSON for ${context}`);
-    }
-
-    let cleaned = response.trim();
-
-    const fenced = cleaned.match(/```(?:json)?\s*([\s\S]*?)```/i);
-    if (fenced && fenced[1]) {
-      cleaned = fenced[1].trim();
-    }
-
-    const attemptParse = (input) => {
-      try {
-        return { data: JSON.parse(input) };
-      } catch (error) {
-        return { error };
-      }
-    };
-
-    const primary = attemptParse(cleaned);
-    if (!primary.error) {
-      return primary.data;
-    }
-
-    const extractFirstJsonValue = (text) => {
-      const str = String(text ?? '');
-      const firstObject = str.indexOf('{');
-      const firstArray = str.indexOf('[');
-      if (firstObject === -1 && firstArray === -1) {
-        return null;
-      }
-
-      const start =
-        firstObject === -1 ? firstArray : firstArray === -1 ? firstObject : Math.min(firstObject, firstArray);
-
-      const stack = [];
-      let inString = false;
-      let escaped = false;
-
-      for (let idx = start; idx < str.length; idx++) {
-        const ch = str[idx];
-
-        if (inString) {
-          if (escaped) {
-            escaped = false;
-            continue;
-          }
-          if (ch === '\\\\') {
-            escaped = true;
-            continue;
-          }
-          if (ch === '"') {
-            inString = false;
-          }
-          continue;
-        }
-
-        if (ch === '"') {
-          inString = true;
-          continue;
-        }
-
-        if (ch === '{') {
-          stack.push('}');
-          continue;
-        }
-        if (ch === '[') {
-          stack.push(']');
-          continue;
-        }
-
-        if (ch === '}' || ch === ']') {
-          if (stack.length === 0) {
-            return null;
-          }
-          const expected = stack.pop();
-          if (ch !== expected) {
-            return null;
-          }
-          if (stack.length === 0) {
-            return str.slice(start, idx + 1);
-          }
-        }
-      }
-
-      return null;
-    };
-
-    const extracted = extractFirstJsonValue(cleaned);
-    if (extracted) {
-      const secondary = attemptParse(extracted);
-      if (!secondary.error) {
-        return secondary.data;
-      }
-    }
-
-    console.error(`Invalid JSON returned during ${context}:`, {
-      responsePreview: cleaned.slice(0, 5000),
-      parseError: primary.error?.message
-    });
-    throw new Error(`AI provider returned invalid JSON for ${context}`);
-  }
 }
 
 /**
@@ -497,10 +508,14 @@ class CodeGeneratorAgent {
     this.aiProvider = null;
     this.templates = new CodeTemplates();
     this.patterns = new CodePatterns();
+    // Set by AgentOrchestrator: searched for prompt context and offered as tools
+    this.knowledgeBase = null;
+    this.testingAgent = null;
   }
 
   async initialize() {
     this.aiProvider = new AIProvider();
+    this.aiProvider.defaultOptions.category = 'codegen';
   }
 
   async generateProject(projectPlan) {
@@ -1064,13 +1079,23 @@ app.listen(PORT, () => {
   }
 
   async generateFeature(feature, projectPlan, results) {
-    const prompt = `
+    const related = await this.getRelatedWork(`${feature.name}\n${feature.description}`);
+
+    // The full plan and related work are optional context: summarized or dropped on small models
+    const prompt = await this.aiProvider.fitPrompt([
+      {
+        priority: 'required',
+        text: `
     Generate code for feature: ${feature.name}
     
     Description: ${feature.description}
-    Tech Stack: ${JSON.stringify(projectPlan.techStack)}
-    Project Context: ${JSON.stringify(projectPlan)}
-    
+    Tech Stack: ${JSON.stringify(projectPlan.techStack)}`
+      },
+      { priority: 'normal', name: 'project', text: `Project Context: ${JSON.stringify(projectPlan)}` },
+      ...(related ? [{ priority: 'low', name: 'related', text: `Related work from earlier builds:\n${related}` }] : []),
+      {
+        priority: 'required',
+        text: `
     Generate:
     1. Frontend component (if applicable)
     2. Backend API endpoint (if applicable)
@@ -1078,15 +1103,45 @@ app.listen(PORT, () => {
     4. Tests for the feature
     
     Create complete, working code that integrates with the existing project.
-    `;
-    
-    const code = await this.aiProvider.generate(prompt);
+    Use the file tools to inspect existing files before changing them.
+    `
+      }
+    ]);
+    
+    // Let the model read what has already been generated, search past builds and run the tests
+    const { tools, handlers } = createAgentTools({
+      files: results.files,
+      knowledgeBase: this.knowledgeBase,
+      testingAgent: this.testingAgent,
+      // The pass rate of the code under test scores the provider that wrote it
+      onTestSummary: (summary) => {
+        if (summary.totalTests > 0) {
+          this.aiProvider.recordQuality(Number(summary.passRate) / 100);
+        }
+      }
+    });
+    const { text: code } = await this.aiProvider.generateWithTools([{ role: 'user', content: prompt }], tools, handlers);
     
     // Parse and organize the generated code
     const files = this.parseGeneratedCode(code, feature, projectPlan);
     results.files.push(...files);
   }
 
+  // Lessons and files from the knowledge base that look related to the query, as prompt text
+  async getRelatedWork(query) {
+    if (!this.knowledgeBase) {
+      return '';
+    }
+
+    try {
+      const results = await this.knowledgeBase.search(query, { topK: 5, minScore: 0.2 });
+      return results.map((result) => `[${result.metadata.kind}] ${result.text.substring(0, 1500)}`).join('\n\n');
+    } catch (error) {
+      console.warn('Knowledge base search failed:', error);
+      return '';
+    }
+  }
+
   parseGeneratedCode(code, feature, projectPlan) {
     // Simple parsing - in a real implementation, this would be more sophisticated
     const files = [];
@@ -1308,12 +1363,14 @@ class TestingAgent {
   async generateTests(code, requirements) {
     console.log('📝 Generating test cases...');
     
-    const prompt = `
-    Generate comprehensive test cases for the following code:
-    
-    Code: ${code}
-    Requirements: ${JSON.stringify(requirements)}
-    
+    const aiProvider = new AIProvider();
+    const prompt = await aiProvider.fitPrompt([
+      { priority: 'required', text: 'Generate comprehensive test cases for the following code:' },
+      { priority: 'high', name: 'code', text: `Code:\n\`\`\`\n${code}\n\`\`\`` },
+      { priority: 'normal', name: 'requirements', text: `Requirements: ${JSON.stringify(requirements)}` },
+      {
+        priority: 'required',
+        text: `
     Generate:
     1. Unit tests for all functions
     2. Integration tests for API endpoints
@@ -1323,10 +1380,11 @@ class TestingAgent {
     6. Security tests
     
     Use Jest for JavaScript/Node.js or appropriate testing framework.
-    `;
+    `
+      }
+    ]);
     
-    const aiProvider = new AIProvider();
-    const testCode = await aiProvider.generate(prompt);
+    const testCode = await aiProvider.generate(prompt, { category: 'tests' });
     
     return this.parseTestCode(testCode);
   }
@@ -1496,13 +1554,25 @@ class LearningAgent {
  * Agent Orchestrator - Coordinates all agents
  */
 class AgentOrchestrator {
-  constructor(agents) {
+  // options.knowledgeBase indexes the files each task generates and is
+  // handed to the agents, with the testing agent, for their tools
+  constructor(agents, { knowledgeBase = null } = {}) {
     this.agents = agents;
+    this.knowledgeBase = knowledgeBase;
     this.taskQueue = [];
     this.executionHistory = [];
+
+    for (const agent of Object.values(agents)) {
+      if ('knowledgeBase' in agent) {
+        agent.knowledgeBase = knowledgeBase;
+      }
+      if ('testingAgent' in agent) {
+        agent.testingAgent = agents.testing || null;
+      }
+    }
   }
 
-  async executeProject(projectPlan) {
+  async executeProject(projectPlan, { signal } = {}) {
     console.log('🎯 Orchestrating project execution...');
     
     const execution = {
@@ -1517,6 +1587,7 @@ class AgentOrchestrator {
     try {
       // Execute tasks in order
       for (const task of projectPlan.tasks) {
+        throwIfAborted(signal);
         const taskResult = await this.executeTask(task, projectPlan);
         execution.tasks.push(taskResult);
         
@@ -1532,7 +1603,7 @@ class AgentOrchestrator {
       return execution;
       
     } catch (error) {
-      execution.status = 'failed';
+      execution.status = error instanceof AbortError ? 'cancelled' : 'failed';
       execution.error = error.message;
       execution.endTime = new Date();
       
@@ -1555,10 +1626,20 @@ class AgentOrchestrator {
       error: null
     };
     
+    // Route task to appropriate agent
+    const agent = this.getAgentForTask(task);
+    // Tags the agent's AI calls with the task, e.g. in traces
+    if (agent.aiProvider) {
+      agent.aiProvider.defaultOptions.taskId = task.id;
+    }
+
     try {
-      // Route task to appropriate agent
-      const agent = this.getAgentForTask(task);
       const result = await agent.executeTask(task, projectPlan);
+
+      // Later tasks and builds find these files through semantic search
+      if (this.knowledgeBase && Array.isArray(result?.files)) {
+        await this.knowledgeBase.addFiles(projectPlan.id, result.files);
+      }
       
       taskExecution.result = result;
       taskExecution.status = 'completed';
@@ -1568,12 +1649,21 @@ class AgentOrchestrator {
       return taskExecution;
       
     } catch (error) {
+      // A cancelled task stops the whole project instead of counting as a failure
+      if (error instanceof AbortError) {
+        throw error;
+      }
+
       taskExecution.error = error.message;
       taskExecution.status = 'failed';
       taskExecution.endTime = new Date();
       
       console.error(`❌ Task failed: ${task.name}`, error);
       return taskExecution;
+    } finally {
+      if (agent.aiProvider) {
+        agent.aiProvider.defaultOptions.taskId = undefined;
+      }
     }
   }
 
@@ -1604,29 +1694,285 @@ class AgentOrchestrator {
  */
 
 class AIProvider {
-  constructor() {
-    this.providers = {
-      gemini: new GeminiProvider(),
-      openai: new OpenAIProvider(),
-      claude: new ClaudeProvider()
-    };
+  constructor(registry = providerRegistry) {
+    // Providers come from the shared registry in ai-providers.js, created on first use
+    this.registry = registry;
+    this.providers = {};
     this.currentProvider = 'gemini';
+    // Merged into every request, e.g. the signal of the build in progress
+    this.defaultOptions = {};
+    // Optional ResponseCache shared by the agents
+    this.responseCache = null;
+    // Request/response hooks (see ProviderHooks in ai-providers.js), tracing by default
+    this.hooks = new ProviderHooks();
+    this.hooks.use(traceRecorder.hooks);
+  }
+
+  use(hooks) {
+    return this.hooks.use(hooks);
+  }
+
+  setSignal(signal) {
+    this.defaultOptions.signal = signal || undefined;
+  }
+
+  getProvider(name = this.currentProvider) {
+    if (!this.providers[name]) {
+      this.providers[name] = this.registry.create(name);
+    }
+    return this.providers[name];
   }
 
   async generate(prompt, options = {}) {
-    const provider = this.providers[this.currentProvider];
-    return await provider.generate(prompt, options);
+    const provider = this.getProvider();
+    const requestOptions = { ...this.defaultOptions, ...options };
+    const model = requestOptions.model || provider.model;
+    const cacheMode = this.responseCache ? this.responseCache.getMode(requestOptions) : null;
+
+    if (!cacheMode) {
+      this.checkBudget(prompt, requestOptions, model);
+      const text = await this.send(prompt, requestOptions, model);
+      this.recordBudgetUsage(prompt, text, requestOptions, model);
+      return text;
+    }
+
+    const key = await this.responseCache.createKey(this.currentProvider, model, prompt, requestOptions);
+    if (cacheMode === 'use') {
+      const cached = await this.responseCache.get(key).catch(() => null);
+      if (cached) {
+        return cached.text;
+      }
+    }
+
+    this.checkBudget(prompt, requestOptions, model);
+    const text = await this.send(prompt, requestOptions, model);
+    this.recordBudgetUsage(prompt, text, requestOptions, model);
+    await this.responseCache.set(key, { text, model }, { provider: this.currentProvider, model }).catch((error) => {
+      console.warn('Response cache write failed:', error);
+    });
+    return text;
+  }
+
+  async *generateStream(prompt, options = {}) {
+    const provider = this.getProvider();
+    const requestOptions = { ...this.defaultOptions, ...options };
+    const model = requestOptions.model || provider.model;
+    this.checkBudget(prompt, requestOptions, model);
+
+    let text = '';
+    const stream = this.hooks.runStream(
+      this.getCallDetails(prompt, requestOptions, model),
+      (callPrompt, callOptions) => provider.generateStream(callPrompt, callOptions)
+    );
+    for await (const chunk of stream) {
+      text += chunk.text || '';
+      yield chunk;
+    }
+    this.recordBudgetUsage(prompt, text, requestOptions, model);
+  }
+
+  // One provider.generate() call, run through the hooks
+  async send(prompt, options, model) {
+    const provider = this.getProvider();
+    const result = await this.measure(prompt, options, model, () => this.hooks.run(this.getCallDetails(prompt, options, model), async (callPrompt, callOptions) => ({
+      text: await provider.generate(callPrompt, callOptions),
+      model
+    })));
+    return result.text;
+  }
+
+  // Records the call's latency, cost or error under options.category, so
+  // EnhancedAIProvider's category routing learns from the agents' calls
+  async measure(prompt, options, model, request) {
+    const costOptimizer = budgetManager.costOptimizer;
+    const start = Date.now();
+    try {
+      const result = await request();
+      const usage = result.usage && result.usage.totalTokens > 0 ? result.usage : this.estimateUsage(prompt, result.text, options);
+      costOptimizer.recordOutcome(this.currentProvider, options.category, {
+        duration: Date.now() - start,
+        usage,
+        cost: costOptimizer.calculateCost(this.currentProvider, model, usage)
+      });
+      return result;
+    } catch (error) {
+      if (!(error instanceof AbortError)) {
+        costOptimizer.recordOutcome(this.currentProvider, options.category, { error: true });
+      }
+      throw error;
+    }
+  }
+
+  // score in 0..1 for output of the current provider, e.g. the test pass rate of code it wrote
+  recordQuality(score, category = this.defaultOptions.category) {
+    budgetManager.costOptimizer.recordQuality(this.currentProvider, category, score);
+  }
+
+  getCallDetails(prompt, options, model) {
+    const provider = this.getProvider();
+    return {
+      provider: this.currentProvider,
+      model,
+      prompt,
+      options,
+      secrets: [provider.apiKey, ...(provider.keyPool?.entries || []).map((entry) => entry.key)]
+    };
+  }
+
+  // Agents have a single provider, so a call over a budget cap is rejected
+  // (BudgetExceededError) rather than downgraded
+  checkBudget(prompt, options, model) {
+    if (!budgetManager.hasLimits()) {
+      return;
+    }
+    const estimate = budgetManager.estimate(this.currentProvider, model, prompt, options);
+    budgetManager.plan([{ provider: this.currentProvider, estimate }], { projectId: options.projectId, agent: options.agent });
+  }
+
+  // provider.generate() returns text only, so usage is estimated from it
+  recordBudgetUsage(prompt, text, options, model) {
+    const usage = this.estimateUsage(prompt, text, options);
+    budgetManager.record({
+      projectId: options.projectId,
+      agent: options.agent,
+      usage,
+      cost: budgetManager.costOptimizer.calculateCost(this.currentProvider, model, usage)
+    });
+  }
+
+  estimateUsage(prompt, text, options) {
+    const promptTokens = estimateTokenCount(conversationText(prompt)) + estimateTokenCount(options.system);
+    const completionTokens = estimateTokenCount(text);
+    return { promptTokens, completionTokens, totalTokens: promptTokens + completionTokens, estimated: true };
+  }
+
+  // Fits prompt sections into the current model's context window (see PromptBudgeter)
+  async fitPrompt(sections, options = {}) {
+    const provider = this.getProvider();
+    const model = options.model || provider.model;
+    const contextLength = getContextLength(this.currentProvider, model, this.registry);
+    const summaryModel = SUMMARY_MODELS[this.currentProvider];
+    const budgeter = new PromptBudgeter({
+      contextLength,
+      reserveTokens: getResponseReserve(contextLength, options.maxTokens),
+      summarize: (text, maxTokens) => this.generate(buildSummaryPrompt(text, maxTokens), {
+        model: summaryModel || model,
+        maxTokens,
+        temperature: 0
+      })
+    });
+
+    const { prompt, tokens, budget, steps } = await budgeter.fit(sections);
+    if (steps.length > 0) {
+      console.log(`✂️ Prompt trimmed to ~${tokens}/${budget} tokens for ${model}:`, steps.map((step) => step.strategy).join(', '));
+    }
+    return prompt;
   }
+
+  async generateStructured(prompt, jsonSchema, options = {}) {
+    return await runStructuredGeneration(
+      (messages, turnOptions) => this.generate(messages, turnOptions),
+      prompt,
+      jsonSchema,
+      options
+    );
+  }
+
+  async generateWithTools(messages, tools, handlers = {}, options = {}) {
+    const provider = this.getProvider();
+    return await runToolLoop(
+      (conversation, turnOptions) => {
+        const model = turnOptions.model || provider.model;
+        return this.measure(conversation, turnOptions, model, () => this.hooks.run(
+          this.getCallDetails(conversation, turnOptions, model),
+          (callPrompt, callOptions) => completeWithTools(provider, callPrompt, callOptions)
+        ));
+      },
+      messages,
+      tools,
+      handlers,
+      { ...this.defaultOptions, ...options }
+    );
+  }
+}
+
+/**
+ * Local tools agents can call while generating code.
+ * Returns { tools, handlers } for generateWithTools.
+ */
+function createAgentTools({ files = [], knowledgeBase = null, testingAgent = null, onTestSummary = null } = {}) {
+  const tools = [
+    {
+      name: 'list_files',
+      description: 'List the paths of files generated so far in the project',
+      parameters: { type: 'object', properties: {} }
+    },
+    {
+      name: 'read_file',
+      description: 'Read the content of a generated project file',
+      parameters: {
+        type: 'object',
+        properties: { path: { type: 'string', description: 'File path relative to the project root' } },
+        required: ['path']
+      }
+    }
+  ];
+
+  const handlers = {
+    list_files: () => files.filter(file => file.type === 'file').map(file => file.path),
+    read_file: ({ path }) => {
+      const file = files.find(item => item.type === 'file' && item.path === path);
+      if (!file) {
+        throw new Error(`File not found: ${path}`);
+      }
+      return file.content || '';
+    }
+  };
+
+  if (knowledgeBase) {
+    tools.push({
+      name: 'search_knowledge_base',
+      description: 'Look up recommendations learned from previous projects',
+      parameters: {
+        type: 'object',
+        properties: { context: { type: 'string', description: 'Topic to search for, or "general"' } },
+        required: ['context']
+      }
+    });
+    handlers.search_knowledge_base = ({ context }) => knowledgeBase.getRecommendations(context);
+  }
+
+  if (testingAgent) {
+    tools.push({
+      name: 'run_tests',
+      description: 'Run the project test suite and return the summary',
+      parameters: {
+        type: 'object',
+        properties: { projectPath: { type: 'string' } }
+      }
+    });
+    handlers.run_tests = async ({ projectPath = '.' }) => {
+      const { summary } = await testingAgent.runAllTests(projectPath);
+      if (onTestSummary) {
+        onTestSummary(summary);
+      }
+      return summary;
+    };
+  }
+
+  return { tools, handlers };
 }
 
 class KnowledgeBase {
-  constructor() {
+  // Pass an EnhancedAIProvider as embedder for model embeddings; the default works offline
+  constructor({ embedder = new HashingEmbedder() } = {}) {
     this.data = {
       successes: [],
       failures: [],
       patterns: [],
       recommendations: []
     };
+    this.vectorStore = new VectorStore({ namespace: 'knowledgeBase', embedder });
   }
 
   async load() {
@@ -1646,6 +1992,15 @@ class KnowledgeBase {
         };
       }
     }
+
+    // Entries saved before the semantic index existed
+    try {
+      if ((await this.vectorStore.entries()).length === 0) {
+        await this.reindex();
+      }
+    } catch (error) {
+      console.warn('Knowledge base index unavailable:', error);
+    }
   }
 
   async save() {
@@ -1655,18 +2010,82 @@ class KnowledgeBase {
   async addSuccess(success) {
     this.data.successes.push(success);
     await this.save();
+    await this.index('success', this.data.successes.length - 1, success);
   }
 
   async addFailure(failure) {
     this.data.failures.push(failure);
     await this.save();
+    await this.index('failure', this.data.failures.length - 1, failure);
   }
 
-  async getRecommendations(context) {
-    // Simple recommendation logic
-    return this.data.recommendations.filter(rec => 
+  async addRecommendation(recommendation) {
+    this.data.recommendations.push(recommendation);
+    await this.save();
+    await this.index('recommendation', this.data.recommendations.length - 1, recommendation);
+  }
+
+  // Generated files are only indexed, they stay out of localStorage
+  async addFiles(projectId, files) {
+    const items = files
+      .filter((file) => file.type === 'file' && file.content)
+      .map((file) => ({
+        id: `file_${projectId}_${file.path}`,
+        text: `${file.path}\n${file.content.substring(0, 4000)}`,
+        metadata: { kind: 'file', entry: { projectId, path: file.path } }
+      }));
+
+    try {
+      await this.vectorStore.add(items);
+    } catch (error) {
+      console.warn('Failed to index generated files:', error);
+    }
+  }
+
+  describe(entry) {
+    return typeof entry === 'string' ? entry : JSON.stringify(entry).substring(0, 4000);
+  }
+
+  async index(kind, position, entry) {
+    try {
+      await this.vectorStore.add([{ id: `${kind}_${position}`, text: this.describe(entry), metadata: { kind, entry } }]);
+    } catch (error) {
+      console.warn('Failed to index knowledge base entry:', error);
+    }
+  }
+
+  async reindex() {
+    const items = [];
+    for (const [kind, list] of [['success', this.data.successes], ['failure', this.data.failures], ['recommendation', this.data.recommendations]]) {
+      list.forEach((entry, position) => {
+        items.push({ id: `${kind}_${position}`, text: this.describe(entry), metadata: { kind, entry } });
+      });
+    }
+    await this.vectorStore.add(items);
+  }
+
+  // Past lessons, recommendations and files ranked by similarity to the query
+  async search(query, options = {}) {
+    return await this.vectorStore.search(String(query), options);
+  }
+
+  async getRecommendations(context, { topK = 5, minScore = 0.2 } = {}) {
+    const matches = this.data.recommendations.filter(rec => 
       rec.context === context || rec.context === 'general'
     );
+
+    // Related lessons, even when the wording differs from the stored context
+    let related = [];
+    try {
+      const seen = new Set(matches.map((rec) => JSON.stringify(rec)));
+      related = (await this.search(context, { topK, minScore }))
+        .filter((result) => !seen.has(JSON.stringify(result.metadata.entry)))
+        .map((result) => ({ kind: result.metadata.kind, score: result.score, ...result.metadata.entry }));
+    } catch (error) {
+      console.warn('Semantic knowledge base search failed:', error);
+    }
+
+    return [...matches, ...related];
   }
 }
 
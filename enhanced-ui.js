@@ -7,6 +7,15 @@ class EnhancedUISystem {
   constructor() {
     this.autonomousAgent = null;
     this.deploymentManager = null;
+    // Template shown in the prompt template editor in settings
+    this.selectedPromptTemplate = null;
+    // Mockup/screenshot image parts attached in the project builder
+    this.builderImages = [];
+    // Local Ollama models from the last refresh, and the pull in progress ({ name, status, percent })
+    this.ollamaModels = null;
+    this.ollamaPull = null;
+    // Agent shown in the trace viewer, or '' for all
+    this.traceAgentFilter = '';
     this.currentProject = null;
     this.isInitialized = false;
     
@@ -50,6 +59,19 @@ class EnhancedUISystem {
     
     // Set up event listeners
     this.setupEventListeners();
+
+    // New traces show up while the viewer is open
+    traceRecorder.subscribe(() => {
+      if (this.state.currentView === 'traces') {
+        this.render();
+      }
+    });
+
+    // Budget warnings, downgrades and rejections from ai-providers.js
+    budgetManager.subscribe((event) => {
+      const type = event.type === 'budget-downgrade' ? 'info' : event.threshold < 100 ? 'warning' : 'error';
+      this.addNotification(type, 'Budget', event.message);
+    });
     
     // Render initial UI
     await this.render();
@@ -100,6 +122,10 @@ class EnhancedUISystem {
               <span class="nav-icon">🚀</span>
               <span class="nav-text">Deploy</span>
             </button>
+            <button class="nav-btn" data-view="traces">
+              <span class="nav-icon">🔍</span>
+              <span class="nav-text">Traces</span>
+            </button>
           </nav>
         </div>
         <div class="header-right">
@@ -134,6 +160,8 @@ class EnhancedUISystem {
         return await this.renderDeployment();
       case 'project-builder':
         return await this.renderProjectBuilder();
+      case 'traces':
+        return await this.renderTraces();
       default:
         return await this.renderDashboard();
     }
@@ -384,6 +412,11 @@ class EnhancedUISystem {
               <label for="projectDescription">Description</label>
               <textarea id="projectDescription" placeholder="Describe your project" rows="4"></textarea>
             </div>
+            <div class="form-group">
+              <label for="mockupUpload">Mockups / Screenshots</label>
+              <input type="file" id="mockupUpload" accept="image/*" multiple>
+              <div id="mockupPreviews" class="mockup-previews">${this.renderMockupPreviews()}</div>
+            </div>
             <div class="form-group">
               <label for="projectType">Project Type</label>
               <select id="projectType">
@@ -527,7 +560,12 @@ class EnhancedUISystem {
                 <span class="btn-icon">👁️</span>
                 <span class="btn-text">Preview</span>
               </button>
+              <button class="btn btn-secondary" id="generateFromMockupBtn" ${this.builderImages.length ? '' : 'disabled'}>
+                <span class="btn-icon">🖼️</span>
+                <span class="btn-text">Component from Mockups</span>
+              </button>
             </div>
+            <pre id="mockupComponentOutput" class="mockup-component-output" hidden></pre>
           </div>
         </div>
 
@@ -545,6 +583,75 @@ class EnhancedUISystem {
     `;
   }
 
+  // Every AI call recorded by traceRecorder (ai-providers.js), newest first
+  async renderTraces() {
+    const escape = (text) => this.escapeHtml(text);
+    const agents = [...new Set(traceRecorder.list().map(trace => trace.agent).filter(Boolean))];
+    const traces = traceRecorder.list({ agent: this.traceAgentFilter || undefined });
+
+    return `
+      <main class="main-content traces-view">
+        <div class="traces-header">
+          <h2>🔍 AI Call Traces</h2>
+          <div class="traces-actions">
+            <select id="traceAgentFilter">
+              <option value="">All agents</option>
+              ${agents.map(agent => `
+                <option value="${escape(agent)}" ${agent === this.traceAgentFilter ? 'selected' : ''}>${escape(agent)}</option>
+              `).join('')}
+            </select>
+            <label class="checkbox-label">
+              <input type="checkbox" id="traceRecordingToggle" ${traceRecorder.enabled ? 'checked' : ''}>
+              <span>Record</span>
+            </label>
+            <button class="btn btn-secondary" id="exportTracesBtn" ${traces.length ? '' : 'disabled'}>Export JSONL</button>
+            <button class="btn btn-small" id="clearTracesBtn">Clear</button>
+          </div>
+        </div>
+        <div class="trace-list">
+          ${traces.map(trace => `
+            <details class="trace-item ${trace.status}">
+              <summary>
+                <span class="trace-time">${new Date(trace.startedAt).toLocaleTimeString()}</span>
+                <span class="trace-provider">${escape(trace.provider)} · ${escape(trace.model || '?')}</span>
+                <span class="trace-tags">${escape([trace.agent, trace.taskId].filter(Boolean).join(' / ') || '—')}</span>
+                <span class="trace-latency">${trace.latencyMs ?? '?'} ms</span>
+                <span class="trace-tokens">${trace.usage ? `${trace.usage.totalTokens} tokens` : ''}</span>
+                <span class="trace-status">${trace.status === 'ok' ? '✅' : trace.status === 'cancelled' ? '⏹' : '❌'}</span>
+              </summary>
+              <h4>Prompt</h4>
+              <pre>${escape(JSON.stringify(trace.prompt, null, 2))}</pre>
+              <h4>Options</h4>
+              <pre>${escape(JSON.stringify(trace.options, null, 2))}</pre>
+              ${trace.output ? `
+                <h4>Output${trace.output.finishReason ? ` (${escape(trace.output.finishReason)})` : ''}</h4>
+                <pre>${escape(trace.output.raw)}</pre>
+                ${trace.output.parsed !== undefined ? `
+                  <h4>Parsed</h4>
+                  <pre>${escape(JSON.stringify(trace.output.parsed, null, 2))}</pre>
+                ` : ''}
+              ` : ''}
+              ${trace.error ? `
+                <h4>Error (${escape(trace.error.kind)})</h4>
+                <pre>${escape(trace.error.message)}</pre>
+              ` : ''}
+            </details>
+          `).join('') || '<p class="trace-empty">No AI calls recorded yet.</p>'}
+        </div>
+      </main>
+    `;
+  }
+
+  exportTraces() {
+    const jsonl = traceRecorder.toJSONL({ agent: this.traceAgentFilter || undefined });
+    const url = URL.createObjectURL(new Blob([jsonl + '\n'], { type: 'application/x-ndjson' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `ai-traces-${new Date().toISOString().slice(0, 19).replace(/:/g, '-')}.jsonl`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
   async renderSidebar() {
     return `
       <aside class="enhanced-sidebar">
@@ -669,6 +776,24 @@ class EnhancedUISystem {
   }
 
   async renderSettingsContent() {
+    const providers = [
+      { value: 'gemini', label: 'Google Gemini' },
+      { value: 'openai', label: 'OpenAI' },
+      { value: 'claude', label: 'Claude' },
+      { value: 'groq', label: 'Groq' },
+      { value: 'huggingface', label: 'Hugging Face' }
+    ];
+    const compatibleProviders = loadOpenAICompatibleConfigs();
+    for (const config of compatibleProviders) {
+      providers.push({ value: config.name, label: `${config.label} (OpenAI-compatible)` });
+    }
+    const huggingFace = loadHuggingFaceSettings();
+    const ollama = loadOllamaSettings();
+    const promptTemplates = promptLibrary.list();
+    const selectedTemplate = promptLibrary.get(this.selectedPromptTemplate || promptTemplates[0].id);
+    const budgetLimits = budgetManager.getLimits();
+    const budgetStatus = budgetManager.getStatus();
+
     return `
       <div class="settings-sections">
         <div class="settings-section">
@@ -676,10 +801,9 @@ class EnhancedUISystem {
           <div class="form-group">
             <label for="primaryProvider">Primary Provider</label>
             <select id="primaryProvider">
-              <option value="gemini">Google Gemini</option>
-              <option value="openai">OpenAI</option>
-              <option value="claude">Claude</option>
-              <option value="groq">Groq</option>
+              ${providers.map(provider => `
+                <option value="${provider.value}" ${provider.value === this.state.settings.primaryProvider ? 'selected' : ''}>${this.escapeHtml(provider.label)}</option>
+              `).join('')}
             </select>
           </div>
           <div class="form-group">
@@ -687,6 +811,137 @@ class EnhancedUISystem {
             <input type="password" id="apiKey" placeholder="Enter your API key">
           </div>
         </div>
+
+        <div class="settings-section">
+          <h4>OpenAI-compatible Endpoints</h4>
+          <ul class="endpoint-list">
+            ${compatibleProviders.map(config => `
+              <li class="endpoint-item">
+                <span class="endpoint-name">${this.escapeHtml(config.label)}</span>
+                <span class="endpoint-url">${this.escapeHtml(config.baseUrl)}</span>
+                <button class="btn btn-small remove-endpoint-btn" data-endpoint="${config.name}">Remove</button>
+              </li>
+            `).join('') || '<li class="endpoint-item">No endpoints configured</li>'}
+          </ul>
+          <div class="form-group">
+            <label for="endpointName">Name</label>
+            <input type="text" id="endpointName" placeholder="e.g. lmstudio, openrouter">
+          </div>
+          <div class="form-group">
+            <label for="endpointBaseUrl">Base URL</label>
+            <input type="text" id="endpointBaseUrl" placeholder="http://localhost:1234/v1">
+          </div>
+          <div class="form-group">
+            <label for="endpointModels">Models (comma-separated)</label>
+            <input type="text" id="endpointModels" placeholder="model-a, model-b">
+          </div>
+          <div class="form-group">
+            <label class="checkbox-label">
+              <input type="checkbox" id="endpointRequiresKey">
+              <span>Requires an API key</span>
+            </label>
+          </div>
+          <button class="btn btn-secondary" id="addEndpointBtn">Add Endpoint</button>
+        </div>
+
+        <div class="settings-section">
+          <h4>Hugging Face</h4>
+          <div class="form-group">
+            <label for="hfEndpointUrl">TGI server URL</label>
+            <input type="text" id="hfEndpointUrl" value="${huggingFace.endpointUrl || ''}" placeholder="Leave empty for the Inference API, e.g. http://localhost:8080">
+          </div>
+          <div class="form-group">
+            <label for="hfModel">Model</label>
+            <input type="text" id="hfModel" value="${huggingFace.model || ''}" placeholder="Qwen/Qwen2.5-Coder-32B-Instruct">
+          </div>
+          <div class="form-group">
+            <label for="hfTask">Task</label>
+            <select id="hfTask">
+              <option value="chat-completion" ${huggingFace.task !== 'text-generation' ? 'selected' : ''}>Chat completion (uses the model's chat template)</option>
+              <option value="text-generation" ${huggingFace.task === 'text-generation' ? 'selected' : ''}>Text generation (raw prompt)</option>
+            </select>
+          </div>
+          <button class="btn btn-secondary" id="saveHuggingFaceBtn">Save Hugging Face Settings</button>
+        </div>
+
+        <div class="settings-section">
+          <h4>Ollama</h4>
+          <div class="form-group">
+            <label for="ollamaHost">Host</label>
+            <input type="text" id="ollamaHost" value="${ollama.host}" placeholder="${DEFAULT_OLLAMA_HOST}">
+          </div>
+          <div class="form-group">
+            <label for="ollamaKeepAlive">Keep model loaded for</label>
+            <input type="text" id="ollamaKeepAlive" value="${ollama.keepAlive ?? ''}" placeholder="Ollama default (5m); -1 keeps it loaded">
+          </div>
+          <div class="form-group">
+            <label for="ollamaNumCtx">Context window (num_ctx)</label>
+            <input type="number" id="ollamaNumCtx" min="512" step="512" value="${ollama.numCtx || ''}" placeholder="Model default">
+          </div>
+          <button class="btn btn-secondary" id="saveOllamaBtn">Save Ollama Settings</button>
+          <ul class="endpoint-list" id="ollamaModelList">
+            ${this.renderOllamaModels()}
+          </ul>
+          <button class="btn btn-small" id="refreshOllamaModelsBtn">Refresh</button>
+          <div class="form-group">
+            <label for="ollamaPullName">Pull a model</label>
+            <input type="text" id="ollamaPullName" placeholder="e.g. llama3.1, qwen2.5-coder:7b, llava">
+          </div>
+          <div class="agent-progress" id="ollamaPullProgress" style="display: ${this.ollamaPull ? 'flex' : 'none'};">
+            <div class="progress-bar">
+              <div class="progress-fill" style="width: ${this.ollamaPull?.percent ?? 0}%"></div>
+            </div>
+            <span class="progress-text">${this.formatOllamaPullStatus()}</span>
+          </div>
+          <button class="btn btn-secondary" id="ollamaPullBtn" ${this.ollamaPull ? 'disabled' : ''}>Pull</button>
+        </div>
+
+        <div class="settings-section">
+          <h4>Prompt Templates</h4>
+          <div class="form-group">
+            <label for="promptTemplateSelect">Template</label>
+            <select id="promptTemplateSelect">
+              ${promptTemplates.map(template => `
+                <option value="${template.id}" ${template.id === selectedTemplate.id ? 'selected' : ''}>${template.description || template.id} (v${template.version})</option>
+              `).join('')}
+            </select>
+          </div>
+          <div class="form-group">
+            <label for="promptTemplateText">Variables: ${Object.keys(selectedTemplate.variables).map(name => `{{${name}}}`).join(', ') || 'none'}</label>
+            <textarea id="promptTemplateText" rows="12">${this.formatPromptTemplateSource(selectedTemplate)}</textarea>
+          </div>
+          <button class="btn btn-secondary" id="savePromptTemplateBtn">Save Override</button>
+          <button class="btn btn-small" id="resetPromptTemplateBtn" ${selectedTemplate.overridden ? '' : 'disabled'}>Reset to Default</button>
+        </div>
+
+        <div class="settings-section">
+          <h4>Budgets</h4>
+          <ul class="budget-status">
+            ${budgetStatus.map(entry => `
+              <li>${entry.label}: ${formatBudgetAmount(entry.unit, entry.used)} of ${formatBudgetAmount(entry.unit, entry.limit)} (${entry.percent}%)</li>
+            `).join('') || '<li>No caps set</li>'}
+          </ul>
+          <div class="form-group">
+            <label for="budgetDailyTokens">Daily token cap</label>
+            <input type="number" id="budgetDailyTokens" min="0" value="${budgetLimits.daily.tokens || ''}" placeholder="No cap">
+          </div>
+          <div class="form-group">
+            <label for="budgetDailyCost">Daily spend cap (USD)</label>
+            <input type="number" id="budgetDailyCost" min="0" step="0.01" value="${budgetLimits.daily.cost || ''}" placeholder="No cap">
+          </div>
+          <div class="form-group">
+            <label for="budgetTimeZone">Budget day time zone</label>
+            <input type="text" id="budgetTimeZone" value="${budgetLimits.timeZone || ''}" placeholder="${Intl.DateTimeFormat().resolvedOptions().timeZone}">
+          </div>
+          <div class="form-group">
+            <label for="budgetOnExceeded">When a call would exceed a cap</label>
+            <select id="budgetOnExceeded">
+              <option value="reject" ${budgetLimits.onExceeded === 'reject' ? 'selected' : ''}>Reject the call</option>
+              <option value="downgrade" ${budgetLimits.onExceeded === 'downgrade' ? 'selected' : ''}>Switch to a cheaper provider</option>
+            </select>
+          </div>
+          <button class="btn btn-secondary" id="saveBudgetBtn">Save Budget</button>
+        </div>
         
         <div class="settings-section">
           <h4>Deployment</h4>
@@ -788,6 +1043,43 @@ class EnhancedUISystem {
       }
     });
 
+    // Mockup images
+    document.addEventListener('change', (e) => {
+      if (e.target.id === 'mockupUpload') {
+        this.addMockupImages(e.target.files);
+        e.target.value = '';
+      }
+    });
+
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('.remove-mockup-btn')) {
+        this.removeMockupImage(Number(e.target.closest('.remove-mockup-btn').dataset.index));
+      }
+      if (e.target.closest('#generateFromMockupBtn')) {
+        this.generateComponentFromMockups();
+      }
+    });
+
+    // Trace viewer
+    document.addEventListener('change', (e) => {
+      if (e.target.id === 'traceAgentFilter') {
+        this.traceAgentFilter = e.target.value;
+        this.render();
+      }
+      if (e.target.id === 'traceRecordingToggle') {
+        traceRecorder.setEnabled(e.target.checked);
+      }
+    });
+
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('#exportTracesBtn')) {
+        this.exportTraces();
+      }
+      if (e.target.closest('#clearTracesBtn')) {
+        traceRecorder.clear();
+      }
+    });
+
     // Modal controls
     document.addEventListener('click', (e) => {
       if (e.target.closest('.modal-close')) {
@@ -795,6 +1087,58 @@ class EnhancedUISystem {
       }
     });
 
+    // Provider settings
+    document.addEventListener('change', (e) => {
+      if (e.target.id === 'primaryProvider') {
+        this.state.settings.primaryProvider = e.target.value;
+        this.saveSettings();
+      }
+    });
+
+    // Prompt template overrides
+    document.addEventListener('change', (e) => {
+      if (e.target.id === 'promptTemplateSelect') {
+        this.selectedPromptTemplate = e.target.value;
+        this.render();
+      }
+    });
+
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('#savePromptTemplateBtn')) {
+        this.savePromptTemplateOverride();
+      }
+      if (e.target.closest('#resetPromptTemplateBtn')) {
+        this.resetPromptTemplateOverride();
+      }
+    });
+
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('#saveBudgetBtn')) {
+        this.saveBudgetLimits();
+      }
+      if (e.target.closest('#saveHuggingFaceBtn')) {
+        this.saveHuggingFaceSettings();
+      }
+      if (e.target.closest('#saveOllamaBtn')) {
+        this.saveOllamaSettings();
+      }
+      if (e.target.closest('#refreshOllamaModelsBtn')) {
+        this.refreshOllamaModels();
+      }
+      if (e.target.closest('#ollamaPullBtn')) {
+        this.pullOllamaModel();
+      }
+    });
+
+    document.addEventListener('click', (e) => {
+      if (e.target.closest('#addEndpointBtn')) {
+        this.addCompatibleEndpoint();
+      }
+      if (e.target.closest('.remove-endpoint-btn')) {
+        this.removeCompatibleEndpoint(e.target.closest('.remove-endpoint-btn').dataset.endpoint);
+      }
+    });
+
     // Notification controls
     document.addEventListener('click', (e) => {
       if (e.target.closest('.notification-close')) {
@@ -818,6 +1162,186 @@ class EnhancedUISystem {
     this.render();
   }
 
+  async addCompatibleEndpoint() {
+    try {
+      const name = document.getElementById('endpointName').value.trim();
+      // Editing an endpoint keeps the settings this form has no fields for
+      const config = saveOpenAICompatibleConfig({
+        ...getOpenAICompatibleConfig(name),
+        name,
+        baseUrl: document.getElementById('endpointBaseUrl').value.trim(),
+        models: document.getElementById('endpointModels').value.split(',').map(model => model.trim()),
+        requiresApiKey: document.getElementById('endpointRequiresKey').checked
+      });
+      this.addNotification('success', 'Endpoint Added', `${config.name} is now available as a provider.`);
+    } catch (error) {
+      this.addNotification('error', 'Invalid Endpoint', error.message);
+    }
+  }
+
+  async saveHuggingFaceSettings() {
+    try {
+      const settings = saveHuggingFaceSettings({
+        endpointUrl: document.getElementById('hfEndpointUrl').value,
+        model: document.getElementById('hfModel').value,
+        task: document.getElementById('hfTask').value
+      });
+      const target = settings.endpointUrl || 'the Hugging Face Inference API';
+      this.addNotification('success', 'Hugging Face Saved', `Hugging Face will use ${target}. Reload to apply it to running agents.`);
+    } catch (error) {
+      this.addNotification('error', 'Invalid Hugging Face Settings', error.message);
+    }
+  }
+
+  async saveOllamaSettings() {
+    try {
+      const settings = saveOllamaSettings({
+        host: document.getElementById('ollamaHost').value,
+        keepAlive: document.getElementById('ollamaKeepAlive').value.trim(),
+        numCtx: document.getElementById('ollamaNumCtx').value
+      });
+      this.addNotification('success', 'Ollama Saved', `Ollama will use ${settings.host}. Reload to apply it to running agents.`);
+    } catch (error) {
+      this.addNotification('error', 'Invalid Ollama Settings', error.message);
+    }
+  }
+
+  renderOllamaModels() {
+    if (!this.ollamaModels) {
+      return '<li class="endpoint-item">Press Refresh to list local models</li>';
+    }
+    return this.ollamaModels.map(model => `
+      <li class="endpoint-item">
+        <span class="endpoint-name">${model.name}</span>
+        <span class="endpoint-url">${[model.parameterSize, model.quantization, `${(model.size / 1e9).toFixed(1)} GB`].filter(Boolean).join(' · ')}</span>
+      </li>
+    `).join('') || '<li class="endpoint-item">No models pulled yet</li>';
+  }
+
+  async refreshOllamaModels() {
+    try {
+      this.ollamaModels = await providerRegistry.create('ollama').listLocalModels({ timeoutMs: 10000 });
+    } catch (error) {
+      this.ollamaModels = null;
+      this.addNotification('error', 'Ollama Unavailable', error.message);
+      return;
+    }
+
+    const list = document.getElementById('ollamaModelList');
+    if (list) {
+      list.innerHTML = this.renderOllamaModels();
+    }
+  }
+
+  formatOllamaPullStatus() {
+    if (!this.ollamaPull) {
+      return '';
+    }
+    const { name, status, percent } = this.ollamaPull;
+    return `${name}: ${status}${percent === null ? '' : ` ${percent}%`}`;
+  }
+
+  // Updates the bar in place; render() (e.g. for a notification) redraws it from this.ollamaPull
+  updateOllamaPullProgress() {
+    const progress = document.getElementById('ollamaPullProgress');
+    if (!progress) {
+      return;
+    }
+    progress.style.display = this.ollamaPull ? 'flex' : 'none';
+    progress.querySelector('.progress-fill').style.width = `${this.ollamaPull?.percent ?? 0}%`;
+    progress.querySelector('.progress-text').textContent = this.formatOllamaPullStatus();
+    document.getElementById('ollamaPullBtn').disabled = Boolean(this.ollamaPull);
+  }
+
+  async pullOllamaModel() {
+    const name = document.getElementById('ollamaPullName').value.trim();
+    if (!name) {
+      this.addNotification('warning', 'Model Required', 'Enter the name of a model to pull.');
+      return;
+    }
+    if (this.ollamaPull) {
+      return;
+    }
+
+    this.ollamaPull = { name, status: 'starting', percent: null };
+    this.updateOllamaPullProgress();
+
+    try {
+      await providerRegistry.create('ollama').pullModel(name, {
+        onProgress: ({ status, percent }) => {
+          this.ollamaPull = { name, status, percent };
+          this.updateOllamaPullProgress();
+        }
+      });
+      this.ollamaPull = null;
+      this.addNotification('success', 'Model Pulled', `${name} is ready to use with Ollama.`);
+      this.refreshOllamaModels();
+    } catch (error) {
+      this.ollamaPull = null;
+      this.addNotification('error', 'Pull Failed', error.message);
+    }
+  }
+
+  // For text from settings or providers placed in rendered markup, attribute values included
+  escapeHtml(text) {
+    return String(text ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  // Sectioned templates are edited as JSON, plain ones as text
+  formatPromptTemplateSource(template) {
+    const source = template.sections
+      ? JSON.stringify(template.sections, null, 2)
+      : template.template;
+    return source.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+  }
+
+  async savePromptTemplateOverride() {
+    const id = document.getElementById('promptTemplateSelect').value;
+    const source = document.getElementById('promptTemplateText').value;
+    this.selectedPromptTemplate = id;
+
+    try {
+      const body = promptLibrary.get(id).sections
+        ? { sections: JSON.parse(source) }
+        : { template: source };
+      const template = promptLibrary.setOverride(id, body);
+      this.addNotification('success', 'Prompt Saved', `${id} is now at version ${template.version}.`);
+    } catch (error) {
+      this.addNotification('error', 'Invalid Prompt Template', error.message);
+    }
+  }
+
+  async resetPromptTemplateOverride() {
+    const id = document.getElementById('promptTemplateSelect').value;
+    this.selectedPromptTemplate = id;
+    promptLibrary.removeOverride(id);
+    this.addNotification('info', 'Prompt Reset', `${id} is back to the built-in template.`);
+  }
+
+  async saveBudgetLimits() {
+    const readCap = (id) => parseFloat(document.getElementById(id).value) || 0;
+
+    try {
+      budgetManager.setLimits({
+        daily: { tokens: readCap('budgetDailyTokens'), cost: readCap('budgetDailyCost') },
+        timeZone: document.getElementById('budgetTimeZone').value.trim() || null,
+        onExceeded: document.getElementById('budgetOnExceeded').value
+      });
+      this.addNotification('success', 'Budget Saved', 'New caps apply from the next AI call.');
+    } catch (error) {
+      this.addNotification('error', 'Invalid Budget', error.message);
+    }
+  }
+
+  async removeCompatibleEndpoint(name) {
+    removeOpenAICompatibleConfig(name);
+    if (this.state.settings.primaryProvider === name) {
+      this.state.settings.primaryProvider = 'gemini';
+      this.saveSettings();
+    }
+    this.addNotification('info', 'Endpoint Removed', `${name} has been removed.`);
+  }
+
   async toggleAgent() {
     if (this.autonomousAgent.isRunning) {
       await this.autonomousAgent.stop();
@@ -906,6 +1430,73 @@ class EnhancedUISystem {
     }
   }
 
+  renderMockupPreviews() {
+    return this.builderImages.map((image, index) => `
+      <div class="mockup-preview">
+        <img src="${imageDataUrl(image)}" alt="${(image.name || 'Mockup').replace(/&/g, '&amp;').replace(/"/g, '&quot;')}">
+        <button class="remove-mockup-btn" data-index="${index}" title="Remove">✕</button>
+      </div>
+    `).join('');
+  }
+
+  // Updates previews in place so the rest of the builder form keeps its input
+  updateMockupPreviews() {
+    const previews = document.getElementById('mockupPreviews');
+    if (previews) {
+      previews.innerHTML = this.renderMockupPreviews();
+    }
+    const button = document.getElementById('generateFromMockupBtn');
+    if (button) {
+      button.disabled = this.builderImages.length === 0;
+    }
+  }
+
+  async addMockupImages(files) {
+    for (const file of Array.from(files || [])) {
+      try {
+        this.builderImages.push(await readImageFile(file));
+      } catch (error) {
+        this.addNotification('error', 'Invalid Image', error.message);
+      }
+    }
+    this.updateMockupPreviews();
+  }
+
+  removeMockupImage(index) {
+    this.builderImages.splice(index, 1);
+    this.updateMockupPreviews();
+  }
+
+  async generateComponentFromMockups() {
+    const projectName = document.getElementById('projectName')?.value.trim() || '';
+    const pascalName = projectName.replace(/[^A-Za-z0-9]+(.)?/g, (match, next) => next ? next.toUpperCase() : '');
+    const name = pascalName ? pascalName.charAt(0).toUpperCase() + pascalName.slice(1) : 'MockupComponent';
+    const output = document.getElementById('mockupComponentOutput');
+
+    // Uses the provider and key saved in the main settings
+    const aiProvider = new EnhancedAIProvider();
+    const provider = localStorage.getItem('provider');
+    if (provider && aiProvider.registry.has(provider)) {
+      await aiProvider.getProvider(provider).initialize(localStorage.getItem('apiKey') || '');
+      aiProvider.setProvider(provider);
+    }
+
+    try {
+      const specialist = new CodeGenerationSpecialist(aiProvider);
+      const code = await specialist.generateComponentFromImage(this.builderImages, {
+        name,
+        notes: document.getElementById('projectDescription')?.value.trim() || ''
+      });
+      if (output) {
+        output.textContent = code;
+        output.hidden = false;
+      }
+      console.log(`🖼️ Generated ${name} from ${this.builderImages.length} mockup(s)`);
+    } catch (error) {
+      this.addNotification('error', 'Mockup Generation Failed', error.cause?.message || error.message);
+    }
+  }
+
   collectProjectRequirements() {
     return {
       name: document.getElementById('projectName').value,
@@ -0,0 +1,346 @@
+/**
+ * Lenient JSON parsing for model replies and API bodies
+ * Models wrap JSON in prose or code fences, bend the syntax (comments,
+ * trailing commas, single quotes, unquoted keys) and stop mid-value when they
+ * hit their token limit. parseJsonLoose() finds the JSON value in such text,
+ * repairs it and parses it; when that isn't possible it throws a
+ * JsonParseError that says where the text went wrong.
+ *
+ * Shared by ai-providers.js and deployment-manager.js, so it is loaded before them.
+ */
+
+class JsonParseError extends Error {
+  // position is the offset into text where parsing failed, or null if unknown
+  constructor(reason, { position = null, text = '' } = {}) {
+    const location = position === null ? null : getTextLocation(text, position);
+    super(location ? `${reason} at line ${location.line}, column ${location.column}` : reason);
+    this.name = 'JsonParseError';
+    this.reason = reason;
+    this.position = position;
+    this.line = location ? location.line : null;
+    this.column = location ? location.column : null;
+    // The text around the failure, with ⟨here⟩ marking the spot
+    this.excerpt = position === null
+      ? null
+      : `${text.slice(Math.max(0, position - 40), position)}⟨here⟩${text.slice(position, position + 40)}`;
+  }
+}
+
+function getTextLocation(text, position) {
+  const before = text.slice(0, position).split('\n');
+  return { line: before.length, column: before[before.length - 1].length + 1 };
+}
+
+const JSON_ESCAPE_CHARS = '"\\/bfnrtu';
+const JSON_CONTROL_ESCAPES = { '\n': '\\n', '\r': '\\r', '\t': '\\t', '\b': '\\b', '\f': '\\f' };
+// Non-JSON literals models write, mostly from Python and JavaScript habits
+const JSON_LITERALS = {
+  true: 'true', false: 'false', null: 'null',
+  True: 'true', False: 'false', None: 'null', undefined: 'null', NaN: 'null'
+};
+const JSON_NUMBER_PATTERN = /^-?(0|[1-9]\d*)(\.\d+)?([eE][+-]?\d+)?$/;
+const JSON_BAREWORD_PATTERN = /[A-Za-z0-9_$.+-]/;
+// Start offsets tried per candidate before giving up on prose full of brackets
+const MAX_JSON_START_ATTEMPTS = 20;
+
+/**
+ * Rewrites the first JSON value at or after start as strict JSON.
+ * Returns { json, end, repairs } where end is the offset just past the value
+ * in text and repairs lists what had to be fixed ('comments',
+ * 'trailing-commas', 'single-quotes', 'unquoted-keys', 'literals', 'escapes',
+ * 'control-characters', 'truncated'). Throws a JsonParseError otherwise.
+ */
+function repairJson(text, start = 0) {
+  const str = String(text ?? '');
+  const repairs = new Set();
+  // One frame per open bracket; expect is 'key', 'colon', 'value' or 'next'
+  const root = { close: null, expect: 'value' };
+  const stack = [];
+  let out = '';
+  let pendingComma = false;
+  let idx = start;
+
+  const fail = (reason, position = idx) => {
+    throw new JsonParseError(reason, { position, text: str });
+  };
+  const frame = () => stack[stack.length - 1] || root;
+
+  // Emits a key or value token in the current frame
+  const emit = (token, isString, position) => {
+    const current = frame();
+    if (current.expect === 'key') {
+      if (!isString) {
+        fail(`Expected a property name, found "${token}"`, position);
+      }
+      out += (pendingComma ? ',' : '') + token;
+      pendingComma = false;
+      current.expect = 'colon';
+      return;
+    }
+    if (current.expect !== 'value') {
+      fail(current.expect === 'colon' ? 'Expected ":" after the property name' : `Expected "," or "${current.close}"`, position);
+    }
+    out += (pendingComma ? ',' : '') + token;
+    pendingComma = false;
+    current.expect = 'next';
+  };
+
+  const readString = (quote) => {
+    let value = '"';
+    idx++;
+    while (idx < str.length) {
+      const ch = str[idx];
+      if (ch === quote) {
+        idx++;
+        return value + '"';
+      }
+      if (ch === '\\') {
+        const next = str[idx + 1];
+        if (next === undefined) {
+          idx++;
+          break;
+        }
+        const valid = next === 'u' ? /^[0-9a-fA-F]{4}$/.test(str.slice(idx + 2, idx + 6)) : JSON_ESCAPE_CHARS.includes(next);
+        if (valid) {
+          value += ch + next;
+        } else if (next === "'") {
+          value += "'";
+        } else {
+          // e.g. \d copied from a regex, or a \u without four hex digits: keep the backslash as text
+          value += '\\\\' + next;
+          repairs.add('escapes');
+        }
+        idx += 2;
+        continue;
+      }
+      if (ch === '"') {
+        value += '\\"';
+      } else if (ch < ' ') {
+        value += JSON_CONTROL_ESCAPES[ch] || `\\u${ch.charCodeAt(0).toString(16).padStart(4, '0')}`;
+        repairs.add('control-characters');
+      } else {
+        value += ch;
+      }
+      idx++;
+    }
+
+    // Cut off mid-string
+    repairs.add('truncated');
+    return value + '"';
+  };
+
+  const readBareword = () => {
+    const begin = idx;
+    while (idx < str.length && JSON_BAREWORD_PATTERN.test(str[idx])) {
+      idx++;
+    }
+    const word = str.slice(begin, idx);
+
+    if (frame().expect === 'key') {
+      repairs.add('unquoted-keys');
+      return JSON.stringify(word);
+    }
+    if (word in JSON_LITERALS) {
+      if (JSON_LITERALS[word] !== word) {
+        repairs.add('literals');
+      }
+      return JSON_LITERALS[word];
+    }
+    if (JSON_NUMBER_PATTERN.test(word)) {
+      return word;
+    }
+    if (idx >= str.length) {
+      // Cut off mid-literal or mid-number
+      repairs.add('truncated');
+      const literal = ['true', 'false', 'null'].find((candidate) => candidate.startsWith(word));
+      if (literal) {
+        return literal;
+      }
+      const number = word.replace(/[^0-9]+$/, '');
+      return JSON_NUMBER_PATTERN.test(number) ? number : 'null';
+    }
+    return fail(`Unexpected "${word}"`, begin);
+  };
+
+  while (idx < str.length) {
+    const ch = str[idx];
+
+    if (/\s/.test(ch)) {
+      idx++;
+      continue;
+    }
+
+    if (ch === '/' && str[idx + 1] === '/') {
+      const lineEnd = str.indexOf('\n', idx);
+      idx = lineEnd === -1 ? str.length : lineEnd + 1;
+      repairs.add('comments');
+      continue;
+    }
+    if (ch === '/' && str[idx + 1] === '*') {
+      const commentEnd = str.indexOf('*/', idx + 2);
+      idx = commentEnd === -1 ? str.length : commentEnd + 2;
+      repairs.add('comments');
+      continue;
+    }
+
+    if (ch === '"' || ch === "'") {
+      if (ch === "'") {
+        repairs.add('single-quotes');
+      }
+      const position = idx;
+      emit(readString(ch), true, position);
+    } else if (ch === '{' || ch === '[') {
+      emit(ch, false, idx);
+      // emit() marked the parent's value as done; the new frame holds it open
+      stack.push({ close: ch === '{' ? '}' : ']', expect: ch === '{' ? 'key' : 'value' });
+      idx++;
+    } else if (ch === '}' || ch === ']') {
+      const current = frame();
+      if (current.close !== ch) {
+        fail(current.close ? `Expected "${current.close}" but found "${ch}"` : `Unexpected "${ch}"`);
+      }
+      if (current.expect === 'colon' || (current.close === '}' && current.expect === 'value')) {
+        fail(`Missing value before "${ch}"`);
+      }
+      if (pendingComma) {
+        repairs.add('trailing-commas');
+        pendingComma = false;
+      }
+      stack.pop();
+      out += ch;
+      idx++;
+    } else if (ch === ',') {
+      const current = frame();
+      if (current.expect !== 'next' || !current.close) {
+        fail('Unexpected ","');
+      }
+      pendingComma = true;
+      current.expect = current.close === '}' ? 'key' : 'value';
+      idx++;
+    } else if (ch === ':') {
+      if (frame().expect !== 'colon') {
+        fail('Unexpected ":"');
+      }
+      out += ':';
+      frame().expect = 'value';
+      idx++;
+    } else if (JSON_BAREWORD_PATTERN.test(ch)) {
+      const position = idx;
+      const token = readBareword();
+      emit(token, frame().expect === 'key', position);
+    } else {
+      fail(`Unexpected character "${ch}"`);
+    }
+
+    if (stack.length === 0 && root.expect === 'next') {
+      return { json: out, end: idx, repairs: [...repairs] };
+    }
+  }
+
+  if (root.expect === 'value') {
+    fail('No JSON value found', start);
+  }
+
+  // Truncated: finish the dangling property, then close what is still open
+  repairs.add('truncated');
+  const current = frame();
+  if (current.expect === 'colon') {
+    out += ':null';
+  } else if (current.close === '}' && current.expect === 'value') {
+    out += 'null';
+  }
+  while (stack.length > 0) {
+    out += stack.pop().close;
+  }
+  return { json: out, end: str.length, repairs: [...repairs] };
+}
+
+// Offset of the next "{" or "[" at or after from, or -1
+function findJsonStart(text, from = 0) {
+  const match = /[{[]/.exec(text.slice(from));
+  return match ? from + match.index : -1;
+}
+
+// Bodies of the ``` fenced blocks in text, json-tagged ones first; an unclosed last fence runs to the end
+function findCodeFences(text) {
+  const fences = [];
+  const pattern = /```([\w+-]*)[^\n]*\n?/g;
+  let open = null;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (open) {
+      fences.push({ lang: open.lang, offset: open.offset, text: text.slice(open.offset, match.index) });
+      open = null;
+    } else {
+      open = { lang: match[1].toLowerCase(), offset: match.index + match[0].length };
+    }
+  }
+  if (open) {
+    fences.push({ lang: open.lang, offset: open.offset, text: text.slice(open.offset) });
+  }
+  return fences.sort((a, b) => (b.lang === 'json') - (a.lang === 'json'));
+}
+
+// Body of the first fenced block that holds JSON, or the trimmed text when there is none
+function stripJsonCodeFence(text) {
+  const str = String(text ?? '').replace(/^\uFEFF/, '');
+  const fence = findCodeFences(str).find((candidate) => /^\s*[{[]/.test(candidate.text));
+  return (fence ? fence.text : str).trim();
+}
+
+// Source of the first complete {...} or [...] value in text, or null
+function extractFirstJsonValue(text) {
+  const str = String(text ?? '');
+  let attempts = 0;
+  for (let start = findJsonStart(str); start !== -1 && attempts < MAX_JSON_START_ATTEMPTS; start = findJsonStart(str, start + 1), attempts++) {
+    try {
+      const { end, repairs } = repairJson(str, start);
+      if (!repairs.includes('truncated')) {
+        return str.slice(start, end);
+      }
+    } catch {
+      // not JSON from here; try the next bracket
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses text that contains a JSON value somewhere: strict JSON first, then
+ * each fenced block (json-tagged ones first) and finally the whole text,
+ * starting from every "{" or "[" in turn. Throws a JsonParseError for the
+ * attempt that got furthest when nothing parses.
+ */
+function parseJsonLoose(text) {
+  const str = String(text ?? '').replace(/^\uFEFF/, '');
+  try {
+    // A well-formed body can carry fenced code inside its string values
+    return JSON.parse(str);
+  } catch {
+    // fall back to extraction and repair
+  }
+
+  let failure = null;
+  const candidates = [...findCodeFences(str), { offset: 0, text: str }];
+  for (const candidate of candidates) {
+    let attempts = 0;
+    for (let start = findJsonStart(candidate.text); start !== -1 && attempts < MAX_JSON_START_ATTEMPTS; start = findJsonStart(candidate.text, start + 1), attempts++) {
+      try {
+        return JSON.parse(repairJson(candidate.text, start).json);
+      } catch (error) {
+        const position = candidate.offset + (error instanceof JsonParseError ? error.position : start);
+        if (!failure || position > failure.position) {
+          failure = new JsonParseError(`Response was not valid JSON: ${error.reason || error.message}`, { position, text: str });
+        }
+      }
+    }
+  }
+
+  throw failure || new JsonParseError('Response was not valid JSON: no JSON object or array found');
+}
+
+window.JsonParseError = JsonParseError;
+window.repairJson = repairJson;
+window.stripJsonCodeFence = stripJsonCodeFence;
+window.extractFirstJsonValue = extractFirstJsonValue;
+window.parseJsonLoose = parseJsonLoose;
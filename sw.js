@@ -15,6 +15,31 @@ const OLLAMA_ENDPOINTS = [
   'http://localhost:11434',
   'http://127.0.0.1:11434'
 ];
+// Host configured in the app's Ollama settings, sent by the page on load and on save
+const OLLAMA_HOST_CACHE_KEY = '/ollama-host';
+let configuredOllamaHost = null;
+
+// The worker is restarted when idle, so the configured host is kept in the cache
+caches.open(CACHE_NAME)
+  .then((cache) => cache.match(OLLAMA_HOST_CACHE_KEY))
+  .then((response) => (response ? response.text() : ''))
+  .then((host) => {
+    configuredOllamaHost = configuredOllamaHost || host || null;
+  });
+
+function isOllamaRequest(url) {
+  return [...OLLAMA_ENDPOINTS, configuredOllamaHost].some(endpoint => endpoint && url.href.startsWith(endpoint));
+}
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'ollama-host') {
+    configuredOllamaHost = event.data.host || null;
+    event.waitUntil(
+      caches.open(CACHE_NAME)
+        .then((cache) => cache.put(OLLAMA_HOST_CACHE_KEY, new Response(configuredOllamaHost || '')))
+    );
+  }
+});
 
 // Install event - cache resources
 self.addEventListener('install', (event) => {
@@ -32,7 +57,7 @@ self.addEventListener('fetch', (event) => {
   const url = new URL(event.request.url);
   
   // Handle Ollama local requests for offline capability
-  if (OLLAMA_ENDPOINTS.some(endpoint => url.href.startsWith(endpoint))) {
+  if (isOllamaRequest(url)) {
     event.respondWith(handleOllamaRequest(event.request));
     return;
   }
@@ -71,7 +96,7 @@ async function handleOllamaRequest(request) {
     // Ollama not available, return offline response
     return new Response(JSON.stringify({
       error: 'Ollama offline',
-      message: 'Local AI model not available. Please ensure Ollama is running locally.',
+      message: `Local AI model not available. Please ensure Ollama is running at ${configuredOllamaHost || OLLAMA_ENDPOINTS[0]}.`,
       offline: true
     }), {
       status: 503,